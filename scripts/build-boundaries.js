@@ -0,0 +1,87 @@
+/**
+ * Generate the finer boundary files the map swaps in while zoomed:
+ * `public/data/world-countries-50m.topo.json` and `…-10m.topo.json`.
+ *
+ * The geometry comes from the `world-atlas` TopoJSON builds of Natural Earth,
+ * which only carry a name and an ISO numeric id.  Each shape is given the
+ * code properties the crosswalk reads (`ISO_A3`, `ADM0_A3`, `WB_A3`, …):
+ * copied from the matching feature of the bundled 110m GeoJSON (by ISO
+ * numeric code, then by name, which also covers id-less shapes such as
+ * Kosovo), or derived from the numeric id for shapes the 110m file lacks.
+ *
+ *   npm run boundaries
+ */
+import { readFile, writeFile } from "node:fs/promises";
+import { createRequire } from "node:module";
+import { dirname, relative, resolve } from "node:path";
+import { fileURLToPath } from "node:url";
+import isoCountries from "i18n-iso-countries";
+
+const root = resolve(dirname(fileURLToPath(import.meta.url)), "..");
+const require = createRequire(import.meta.url);
+const baseFile = resolve(root, "public/data/world-countries.geojson");
+
+const RESOLUTIONS = ["50m", "10m"];
+
+/** Properties copied from the 110m features; everything the app reads from a shape. */
+const KEPT_PROPERTIES = [
+  "NAME",
+  "ADMIN",
+  "ISO_A3",
+  "ISO_A3_EH",
+  "ISO_A2",
+  "ISO_A2_EH",
+  "ADM0_A3",
+  "WB_A3",
+  "WB_A2",
+  "ISO_N3",
+  "LABEL_X",
+  "LABEL_Y",
+];
+
+const pick = (props) =>
+  Object.fromEntries(KEPT_PROPERTIES.filter((key) => props[key] != null).map((key) => [key, props[key]]));
+
+const base = JSON.parse(await readFile(baseFile, "utf8"));
+const byNumeric = new Map();
+const byName = new Map();
+for (const { properties } of base.features) {
+  for (const code of [properties.ISO_N3, properties.ISO_N3_EH]) {
+    if (code && code !== "-99" && !byNumeric.has(code)) byNumeric.set(code, properties);
+  }
+  byName.set(properties.NAME, properties);
+}
+
+for (const resolution of RESOLUTIONS) {
+  const topology = require(`world-atlas/countries-${resolution}.json`);
+  let derived = 0;
+  const unresolved = [];
+
+  for (const geometry of topology.objects.countries.geometries) {
+    const name = geometry.properties?.name || "";
+    const match = (geometry.id && byNumeric.get(geometry.id)) || byName.get(name);
+    if (match) {
+      geometry.properties = { ...pick(match), NAME: name || match.NAME };
+      continue;
+    }
+
+    const iso3 = geometry.id ? isoCountries.numericToAlpha3(geometry.id) : null;
+    if (!iso3) unresolved.push(name || "(unnamed shape)");
+    else derived += 1;
+    geometry.properties = {
+      NAME: name,
+      ...(iso3 ? { ISO_A3: iso3, ISO_A2: isoCountries.numericToAlpha2(geometry.id), ISO_N3: geometry.id } : {}),
+    };
+  }
+
+  // Only the countries object is drawn; `land` would just add weight.
+  const { countries } = topology.objects;
+  topology.objects = { countries };
+
+  const outFile = resolve(root, `public/data/world-countries-${resolution}.topo.json`);
+  await writeFile(outFile, JSON.stringify(topology));
+  console.log(
+    `Wrote ${relative(root, outFile)}: ${countries.geometries.length} shapes ` +
+      `(${derived} coded from ISO numeric ids; no code: ${unresolved.join(", ") || "none"}).`
+  );
+}
@@ -0,0 +1,93 @@
+/**
+ * Generate `public/data/snapshot.json`, the offline fallback dataset.
+ *
+ * Runs the same provider pipeline as the app (loaded through Vite's SSR module
+ * loader so the `src/` modules are used unchanged) against the World Bank API,
+ * or against `WB_API_URL` when set (e.g. the mock server for a dry run).
+ * Runs before every `npm run build` with `--optional`: a failed fetch then
+ * keeps an existing snapshot that still matches the dataset schema, or warns
+ * and lets the build continue without one, so offline builds keep working.
+ *
+ *   npm run snapshot
+ */
+import { mkdir, readFile, writeFile } from "node:fs/promises";
+import { dirname, relative, resolve } from "node:path";
+import { fileURLToPath } from "node:url";
+import { createServer } from "vite";
+
+const root = resolve(dirname(fileURLToPath(import.meta.url)), "..");
+const boundariesFile = resolve(root, "public/data/world-countries.geojson");
+const catalogFile = resolve(root, "public/data/metrics.json");
+const outFile = resolve(root, "public/data/snapshot.json");
+const optional = process.argv.includes("--optional");
+
+const server = await createServer({
+  root,
+  logLevel: "error",
+  appType: "custom",
+  server: { middlewareMode: true },
+  optimizeDeps: { noDiscovery: true, include: [] },
+});
+
+const { createSnapshot, parseSnapshot } = await server.ssrLoadModule("/src/data/snapshot.js");
+
+/** The existing snapshot's fetch date when it still parses against the current schema, else null. */
+const currentSnapshotDate = async () => {
+  try {
+    return new Date(parseSnapshot(JSON.parse(await readFile(outFile, "utf8"))).fetchedAt).toISOString();
+  } catch {
+    return null;
+  }
+};
+
+try {
+  const { createWorldBankProvider, loadDataset, WORLD_BANK_API } = await server.ssrLoadModule("/src/data/index.js");
+  const { toFeatureCollection } = await server.ssrLoadModule("/src/data/worldBankProvider.js");
+  const { parseMetricCatalog } = await server.ssrLoadModule("/src/data/metricCatalog.js");
+
+  const { metrics: METRICS, issues } = parseMetricCatalog(JSON.parse(await readFile(catalogFile, "utf8")));
+  issues.forEach((issue) => console.warn(`Skipping catalog entry: ${issue.path} ${issue.message}`));
+
+  const baseUrl = process.env.WB_API_URL || WORLD_BANK_API;
+  const provider = {
+    ...createWorldBankProvider({ baseUrl }),
+    loadBoundaries: async () => toFeatureCollection(JSON.parse(await readFile(boundariesFile, "utf8"))),
+  };
+
+  console.log(`Fetching ${METRICS.length} indicators from ${baseUrl}…`);
+  const { rows, aggregates, metadata, failures } = await loadDataset(provider, METRICS, {
+    onIndicatorStatus: (field, state) => {
+      if (state.status === "error") console.warn(`  ✗ ${field}: ${state.error}`);
+      if (state.status === "ok") console.log(`  ✓ ${field}`);
+    },
+  });
+
+  const snapshot = createSnapshot({
+    rows,
+    aggregates,
+    metadata,
+    source: baseUrl,
+    failedIndicators: failures.map((failure) => failure.field),
+  });
+  await mkdir(dirname(outFile), { recursive: true });
+  await writeFile(outFile, JSON.stringify(snapshot));
+
+  console.log(
+    `Wrote ${rows.length} rows and ${aggregates.length} aggregates to ${relative(root, outFile)} (${new Date(snapshot.fetchedAt).toISOString()}).`
+  );
+  if (failures.length) console.warn(`${failures.length} indicator(s) failed and are missing from the snapshot.`);
+} catch (error) {
+  console.error(`Snapshot generation failed: ${error?.message || error}`);
+  if (optional) {
+    const kept = await currentSnapshotDate();
+    console.warn(
+      kept
+        ? `Keeping the existing ${relative(root, outFile)} (${kept}).`
+        : `Continuing without a current ${relative(root, outFile)}; the offline fallback is unavailable in this build.`
+    );
+  } else {
+    process.exitCode = 1;
+  }
+} finally {
+  await server.close();
+}
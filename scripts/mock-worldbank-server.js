@@ -0,0 +1,83 @@
+/**
+ * Minimal stand-in for the World Bank API v2, serving the bundled fixture
+ * (`src/data/fixtures/worldBankSample.json`) with the real response envelope,
+ * pagination and error payloads.  Routes: `/v2/country`, `/v2/indicator`,
+ * `/v2/indicator/{code}` and `/v2/country/all/indicator/{code}`.
+ *
+ *   npm run mock:api                      # listens on http://localhost:8787
+ *   VITE_WB_API_URL=http://localhost:8787/v2 npm run dev
+ */
+import { readFileSync } from "node:fs";
+import { createServer } from "node:http";
+
+const PORT = Number(process.env.PORT) || 8787;
+const fixture = JSON.parse(
+  readFileSync(new URL("../src/data/fixtures/worldBankSample.json", import.meta.url), "utf8")
+);
+
+const send = (response, status, body) => {
+  response.writeHead(status, {
+    "Content-Type": "application/json; charset=utf-8",
+    "Access-Control-Allow-Origin": "*",
+  });
+  response.end(JSON.stringify(body));
+};
+
+/** Wrap `records` in the World Bank `[meta, records]` envelope for the requested page. */
+const paged = (records, searchParams) => {
+  const perPage = Math.max(1, Number(searchParams.get("per_page")) || 50);
+  const page = Math.max(1, Number(searchParams.get("page")) || 1);
+  const pages = Math.max(1, Math.ceil(records.length / perPage));
+  const slice = records.slice((page - 1) * perPage, page * perPage);
+  return [
+    { page, pages, per_page: perPage, total: records.length, sourceid: "2", lastupdated: "2024-01-01" },
+    slice.length ? slice : null,
+  ];
+};
+
+const worldBankError = (value) => [
+  { message: [{ id: "120", key: "Invalid value", value }] },
+];
+
+const server = createServer((request, response) => {
+  const url = new URL(request.url, `http://localhost:${PORT}`);
+  const path = url.pathname.replace(/\/+$/, "").toLowerCase();
+
+  if (path === "/v2/country") {
+    send(response, 200, paged(fixture.countries, url.searchParams));
+    return;
+  }
+
+  if (path === "/v2/indicator") {
+    const source = url.searchParams.get("source");
+    const catalog = fixture.indicatorCatalog.filter((record) => !source || record.source?.id === source);
+    send(response, 200, paged(catalog, url.searchParams));
+    return;
+  }
+
+  const metadataMatch = url.pathname.match(/^\/v2\/indicator\/([^/]+)\/?$/i);
+  if (metadataMatch) {
+    const code = decodeURIComponent(metadataMatch[1]);
+    const record = fixture.indicatorCatalog.find((entry) => entry.id.toLowerCase() === code.toLowerCase());
+    send(response, 200, record ? paged([record], url.searchParams) : worldBankError("The indicator was not found"));
+    return;
+  }
+
+  const indicatorMatch = url.pathname.match(/^\/v2\/country\/all\/indicator\/([^/]+)\/?$/i);
+  if (indicatorMatch) {
+    const code = decodeURIComponent(indicatorMatch[1]);
+    const records = fixture.indicators[code];
+    send(
+      response,
+      200,
+      records ? paged(records, url.searchParams) : worldBankError("The provided parameter value is not valid")
+    );
+    return;
+  }
+
+  send(response, 404, worldBankError(`No mock route for ${url.pathname}`));
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock World Bank API listening on http://localhost:${PORT}/v2`);
+});
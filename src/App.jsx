@@ -1,89 +1,203 @@
 import React, { useMemo, useState, useEffect, useCallback, useRef } from "react";
-import { ComposableMap, Geographies, Geography } from "react-simple-maps";
-import { geoEqualEarth, geoPath } from "d3-geo";
-import { ArrowLeftRight, Search, Info } from "lucide-react";
+import { ComposableMap, Geographies, Geography, Marker, Sphere } from "react-simple-maps";
+import { geoDistance, geoPath } from "d3-geo";
+import { Search, Info, Pause, Play, Plus, Sigma, SkipBack, SkipForward } from "lucide-react";
 
 import { Card, CardContent, Button, Input, Select, SelectItem } from "./components/ui";
 import { BoundedZoomableGroup } from "./hooks/useBoundedZoomPan";
-import { numberFmt, smallNumberFmt, legendFmt, pctFmt, percentFmt, fmtTime, relAB } from "./lib/formatters";
+import { numberFmt, smallNumberFmt, legendFmt, pctFmt, fmtTime, relAB } from "./lib/formatters";
 import { StatRow } from "./components/StatRow";
+import { AddIndicatorDialog } from "./components/AddIndicatorDialog";
+import { DerivedMetricDialog } from "./components/DerivedMetricDialog";
+import { MetricInfo } from "./components/MetricInfo";
+import { CountryProfiles } from "./components/CountryProfiles";
+import { DiagnosticsPanel } from "./components/DiagnosticsPanel";
+import { BivariateLegend } from "./components/BivariateLegend";
+import { SymbolLegend } from "./components/SymbolLegend";
+import { MapTooltip } from "./components/MapTooltip";
+import { SelectionChips } from "./components/SelectionChips";
+import { createDataProvider } from "./data";
+import { DEFAULT_POLARITY, resolveFormat } from "./data/metricCatalog";
+import { applyDerivedMetrics, compileDerivedMetrics } from "./data/derivedMetrics";
+import { rowsAtYear, seriesYearBounds } from "./data/yearView";
+import { useMetricCatalog } from "./hooks/useMetricCatalog";
+import { useCountryData } from "./hooks/useCountryData";
+import { useCustomIndicators } from "./hooks/useCustomIndicators";
+import { useBoundaryDetail } from "./hooks/useBoundaryDetail";
+import { useDerivedMetrics } from "./hooks/useDerivedMetrics";
+import { createHoverStore } from "./hooks/useMapHover";
+import { useCountrySelection } from "./hooks/useCountrySelection";
+import { usePlayback } from "./hooks/usePlayback";
+import { compileFormula } from "./lib/formula";
+import { getIso3, getNameProp } from "./lib/geoProps";
+import { reconcileCodes } from "./lib/codeCrosswalk";
+import {
+  CLAMP_PERCENTILES,
+  CLASSIFICATION_SCHEMES,
+  DEFAULT_CLASSES,
+  MAX_CLASSES,
+  MIN_CLASSES,
+  classBreaks,
+  classIndex,
+  parseCustomBreaks,
+  quantileOf,
+} from "./lib/classification";
+import {
+  BIVARIATE_CLASSES,
+  BIVARIATE_PALETTE,
+  DEFAULT_MIDPOINT,
+  DEFAULT_PALETTE,
+  PALETTES,
+  PALETTE_TYPES,
+  classColors,
+  continuousColor,
+  paletteGradient,
+  whiteBlue,
+  whiteBluePalette,
+} from "./lib/palettes";
+import {
+  GLOBE_MAX_LATITUDE,
+  MAP_PROJECTIONS,
+  readStoredProjection,
+  wrapLongitude,
+  writeStoredProjection,
+} from "./lib/projections";
+import { symbolLegendValues, symbolRadius } from "./lib/symbols";
 
 // ---------------------------------------------------------------------------
 // Map interaction helpers
 // ---------------------------------------------------------------------------
 
-const MAP_SELECTION_COLORS = {
-  A: {
+// One entry per comparison slot, in order; the slot count is the selection limit.
+const SELECTION_SLOTS = [
+  {
+    label: "A",
     fill: "#6366F1",
     listBgClass: "bg-indigo-50",
     chipClass: "bg-indigo-50 text-indigo-700",
     pulseClass: "map-selection-pulse--a",
   },
-  B: {
+  {
+    label: "B",
     fill: "#F97316",
     listBgClass: "bg-orange-50",
     chipClass: "bg-orange-50 text-orange-700",
     pulseClass: "map-selection-pulse--b",
   },
-};
+  {
+    label: "C",
+    fill: "#EC4899",
+    listBgClass: "bg-pink-50",
+    chipClass: "bg-pink-50 text-pink-700",
+    pulseClass: "map-selection-pulse--c",
+  },
+  {
+    label: "D",
+    fill: "#14B8A6",
+    listBgClass: "bg-teal-50",
+    chipClass: "bg-teal-50 text-teal-700",
+    pulseClass: "map-selection-pulse--d",
+  },
+  {
+    label: "E",
+    fill: "#EAB308",
+    listBgClass: "bg-yellow-50",
+    chipClass: "bg-yellow-50 text-yellow-700",
+    pulseClass: "map-selection-pulse--e",
+  },
+  {
+    label: "F",
+    fill: "#84CC16",
+    listBgClass: "bg-lime-50",
+    chipClass: "bg-lime-50 text-lime-700",
+    pulseClass: "map-selection-pulse--f",
+  },
+];
+const MAX_SELECTION = SELECTION_SLOTS.length;
+
+// Screen-space radius (px) of the point markers drawn for economies without a boundary shape.
+const MARKER_RADIUS = 4;
+
+// Countries without a value for the color metric are hatched; values older than the
+// chosen age (relative to the metric's latest year) are drawn faded.
+const NO_DATA_PATTERN_ID = "map-no-data";
+const STALE_OPACITY = 0.4;
+const STALE_AGE_OPTIONS = [1, 2, 3, 5, 10];
+const DEFAULT_STALE_YEARS = 3;
+
+// "Nearest year within ±N" fallback offered when a specific year is selected (0 = exact year only).
+const YEAR_TOLERANCE_OPTIONS = [0, 1, 2, 3, 5];
+
+// Milliseconds per year during playback.
+const PLAYBACK_SPEEDS = [
+  { label: "0.5×", ms: 1600 },
+  { label: "1×", ms: 800 },
+  { label: "2×", ms: 400 },
+  { label: "4×", ms: 200 },
+];
+const DEFAULT_PLAYBACK_MS = 800;
+
+/** Diagonal hatching used as the "no data" fill. */
+const HatchPattern = ({ id }) => (
+  <pattern id={id} width="4" height="4" patternUnits="userSpaceOnUse" patternTransform="rotate(45)">
+    <rect width="4" height="4" fill="#F8FAFC" />
+    <line x1="0" y1="0" x2="0" y2="4" stroke="#CBD5E1" strokeWidth="1.5" />
+  </pattern>
+);
 
 const clampNumber = (value, min, max) => Math.min(Math.max(value, min), max);
 
+/** Finite values of `field` in every year of every row's `__series`, ascending. */
+const sortedSeriesValuesOf = (rows, field) => {
+  if (!field) return [];
+  return rows
+    .flatMap((row) => Object.values(row.__series?.[field] || {}))
+    .filter((value) => typeof value === "number" && !Number.isNaN(value))
+    .sort((a, b) => a - b);
+};
+
+/** Finite values of `field` across `rows`, ascending. */
+const sortedValuesOf = (rows, field) => {
+  if (!field) return [];
+  return rows
+    .map((row) => row[field])
+    .filter((value) => typeof value === "number" && !Number.isNaN(value))
+    .sort((a, b) => a - b);
+};
+
+/**
+ * `{ byIso3, count, polarity }` ranking of `rows` by `field`, best first for
+ * the metric's polarity (lowest first for "lower", highest first otherwise,
+ * including neutral metrics); equal values share a rank.
+ */
+const rankBy = (rows, field, polarity = DEFAULT_POLARITY) => {
+  const ranked = rows
+    .filter((row) => typeof row[field] === "number" && !Number.isNaN(row[field]))
+    .sort((a, b) => (polarity === "lower" ? a[field] - b[field] : b[field] - a[field]));
+  const byIso3 = new Map();
+  ranked.forEach((row, index) => {
+    const previous = ranked[index - 1];
+    byIso3.set(row.iso3, previous && previous[field] === row[field] ? byIso3.get(previous.iso3) : index + 1);
+  });
+  return { byIso3, count: ranked.length, polarity };
+};
+
 // ---------------------------------------------------------------------------
 // Constants & helper utilities
 // ---------------------------------------------------------------------------
 
-/** URL for the Natural Earth GeoJSON dataset used to draw country boundaries. */
-const geoUrl = `${import.meta.env.BASE_URL}data/world-countries.geojson`;
-
 // Base dimensions for the responsive map and related derived constants.
 const BASE_W = 960;
 const BASE_H = 520;
+const SPHERE = { type: "Sphere" };
 const ASPECT = BASE_H / BASE_W;
 
-// Cache data for one day in localStorage.
-const DAY_MS = 24 * 60 * 60 * 1000;
-const LAST_KEY = "wb:lastRefreshed";
-
-/**
- * Safely extract an ISO-3 country code from a GeoJSON properties object.
- * Multiple property names are checked because the source dataset is not
- * completely consistent.  Returns `null` if the ISO code is missing or the
- * placeholder value "-99" appears.
- */
-const getIso3 = (props) => {
-  const iso =
-    props?.ISO_A3 ??
-    props?.iso_a3 ??
-    props?.ISO_A3_EH ??
-    props?.iso_a3_eh ??
-    props?.ADM0_A3 ??
-    props?.adm0_a3 ??
-    props?.ISO3 ??
-    props?.iso3;
-
-  if (!iso || iso === "-99") return null;
-  return String(iso).toUpperCase();
-};
+/** Data source for the app (World Bank by default; see `src/data/index.js`). */
+const dataProvider = createDataProvider();
 
-/** Friendly display name used for hover tooltips and the selection list. */
-const getNameProp = (props) =>
-  props?.NAME ?? props?.name ?? props?.NAME_LONG ?? props?.name_long ?? props?.ADMIN ?? "";
-
-/** Extract an ISO-2 country code from GeoJSON properties when available. */
-const getIso2 = (props) => {
-  const iso2 =
-    props?.ISO_A2 ??
-    props?.iso_a2 ??
-    props?.ISO_A2_EH ??
-    props?.iso_a2_eh ??
-    props?.WB_A2 ??
-    props?.wb_a2;
-
-  if (!iso2 || iso2 === "-99") return null;
-  const normalized = String(iso2).toUpperCase();
-  return normalized.length === 2 ? normalized : null;
-};
+// Developer diagnostics (code crosswalk report) in dev builds or with `?debug` in the URL.
+const SHOW_DIAGNOSTICS =
+  import.meta.env.DEV || (typeof window !== "undefined" && new URLSearchParams(window.location.search).has("debug"));
 
 /** Convert a two-letter ISO code into its corresponding flag emoji. */
 const iso2ToFlagEmoji = (iso2) => {
@@ -104,16 +218,117 @@ const countryWithFlag = (name, iso2) => {
   return flag ? `${base} ${flag}` : base;
 };
 
-/** Map a [0, 1] number to a blue-ish color on a white-to-deep gradient. */
-const whiteBlue = (t) => {
-  const clamped = Math.max(0, Math.min(1, Number.isFinite(t) ? t : 0));
-  const lightness = Math.round(98 - 40 * clamped);
-  return `hsl(210, 70%, ${lightness}%)`;
+/** Display name for a selected row; aggregates (regions, income groups) get no flag. */
+const entityLabel = (row) => (row ? countryWithFlag(row.country, row.aggregate ? null : row.iso2) : "—");
+
+const DATA_STATUS_STYLES = {
+  loading: { label: "Loading", dotClass: "bg-slate-300 animate-pulse" },
+  cached: { label: "Cached", dotClass: "bg-amber-400" },
+  refreshing: { label: "Refreshing", dotClass: "bg-sky-500 animate-pulse" },
+  fresh: { label: "Fresh", dotClass: "bg-emerald-500" },
+  snapshot: { label: "Snapshot", dotClass: "bg-violet-500" },
+  error: { label: "Unavailable", dotClass: "bg-rose-500" },
+};
+
+/**
+ * Summary of the per-indicator load state: progress while fetching, plus the
+ * indicators that failed (each with a retry action) and the ones that loaded.
+ */
+const IndicatorStatusPanel = ({ metrics, statuses, onRetry }) => {
+  const entries = metrics
+    .map((metric) => ({ metric, state: statuses[metric.field] }))
+    .filter((entry) => entry.state);
+  if (!entries.length) return null;
+
+  const pending = entries.filter((entry) => entry.state.status === "loading");
+  const failed = entries.filter((entry) => entry.state.status === "error");
+  const loaded = entries.filter((entry) => entry.state.status === "ok");
+  if (!pending.length && !failed.length) return null;
+
+  return (
+    <div className="mt-4 rounded-xl border border-slate-200 bg-slate-50 px-3 py-2 text-xs text-slate-600">
+      <div>
+        Loaded <span className="font-medium">{loaded.length}</span> of {entries.length} indicators
+        {pending.length ? ` (${pending.length} still loading…)` : ""}.
+        {loaded.length > 0 && (
+          <details className="inline-block ml-2 align-top">
+            <summary className="cursor-pointer text-slate-500">Show loaded</summary>
+            <p className="mt-1 text-slate-500">{loaded.map((entry) => entry.metric.label).join(", ")}</p>
+          </details>
+        )}
+      </div>
+      {failed.length > 0 && (
+        <ul className="mt-2 space-y-1">
+          {failed.map(({ metric, state }) => (
+            <li key={metric.field} className="flex flex-wrap items-center gap-2 text-rose-700">
+              <span className="font-medium">{metric.label}</span>
+              <span className="text-rose-600/80">failed: {state.error || "unknown error"}</span>
+              <button
+                type="button"
+                className="rounded-md px-2 py-0.5 ring-1 ring-rose-200 bg-white hover:bg-rose-50 text-rose-700"
+                onClick={() => onRetry(metric.field)}
+              >
+                Retry
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+/** Lists metric catalog entries that failed validation and were skipped. */
+const CatalogIssuesPanel = ({ issues, source = <code>data/metrics.json</code> }) => {
+  if (!issues.length) return null;
+
+  return (
+    <div className="mt-4 rounded-xl border border-amber-200 bg-amber-50 px-3 py-2 text-xs text-amber-800" role="status">
+      <p className="font-medium">
+        Metric catalog ({source}): {issues.length} problem{issues.length === 1 ? "" : "s"} found;
+        affected entries were skipped.
+      </p>
+      <ul className="mt-1 list-disc pl-5 space-y-0.5">
+        {issues.map((issue, index) => (
+          <li key={`${issue.path}-${index}`}>
+            <code>{issue.path}</code>
+            {issue.field ? ` (${issue.field})` : ""} {issue.message}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
 };
 
-/** Generate `n` color stops using the gradient above. */
-const whiteBluePalette = (n) =>
-  Array.from({ length: n }, (_, index) => whiteBlue(n === 1 ? 1 : index / (n - 1)));
+/** Header badge describing where the displayed data came from and how old it is. */
+const DataStatusBadge = ({ status, lastRefreshed }) => {
+  const style = DATA_STATUS_STYLES[status] || DATA_STATUS_STYLES.loading;
+  const when = lastRefreshed ? fmtTime(lastRefreshed) : null;
+  const title =
+    status === "cached"
+      ? "Showing data stored in this browser. It is revalidated automatically once it is older than 24 hours."
+      : status === "refreshing"
+      ? "Showing cached data while the latest figures are fetched in the background."
+      : status === "fresh"
+      ? "Data was fetched from the World Bank during this visit."
+      : status === "snapshot"
+      ? "The World Bank API could not be reached, so the offline snapshot bundled with the app is shown."
+      : undefined;
+
+  return (
+    <span className="inline-flex items-center gap-1.5 text-xs text-slate-500" title={title} aria-live="polite">
+      <span className={`inline-block h-2 w-2 rounded-full ${style.dotClass}`} aria-hidden="true" />
+      {status === "snapshot" ? (
+        <span className="font-medium text-slate-700">Snapshot from {when || "unknown date"}</span>
+      ) : (
+        <>
+          <span className="font-medium text-slate-700">{style.label}</span>
+          {when && <span>· {when}</span>}
+        </>
+      )}
+    </span>
+  );
+};
 
 const SearchBox = ({ placeholder, value, onChange }) => (
   <div className="relative w-full">
@@ -124,382 +339,141 @@ const SearchBox = ({ placeholder, value, onChange }) => (
 
 export default function App() {
   // -------------------------------------------------------------------------
-  // Metrics catalog (World Bank indicator codes + formatting helpers)
+  // Metrics catalog (World Bank indicator codes + formatting, loaded at runtime)
   // -------------------------------------------------------------------------
-  const METRICS = useMemo(
+  const {
+    metrics: catalogMetrics,
+    derived: catalogDerived,
+    issues: catalogIssues,
+    status: catalogStatus,
+  } = useMetricCatalog();
+  const customIndicators = useCustomIndicators();
+  const userDerived = useDerivedMetrics();
+
+  // Indicators fetched from the World Bank (catalog + user-added).
+  const fetchedMetrics = useMemo(
     () => [
-      {
-        field: "population",
-        label: "Population",
-        code: "SP.POP.TOTL",
-        fmt: numberFmt,
-        alwaysInclude: true,
-        category: "Population & Society",
-      },
-      {
-        field: "population_growth_pct",
-        label: "Population growth (%)",
-        code: "SP.POP.GROW",
-        fmt: (value) => percentFmt(value, 2),
-        diffSuffix: "%",
-        minCoverage: 0.6,
-        category: "Population & Society",
-      },
-      {
-        field: "urban_pop_pct",
-        label: "Urban population (%)",
-        code: "SP.URB.TOTL.IN.ZS",
-        fmt: (value) => percentFmt(value, 1),
-        diffSuffix: "%",
-        minCoverage: 0.6,
-        category: "Population & Society",
-      },
-      {
-        field: "life_expectancy",
-        label: "Life expectancy (yrs)",
-        code: "SP.DYN.LE00.IN",
-        fmt: (value) => smallNumberFmt(value, 1),
-        alwaysInclude: true,
-        category: "Population & Society",
-      },
-      {
-        field: "fertility_rate",
-        label: "Fertility rate (births per woman)",
-        code: "SP.DYN.TFRT.IN",
-        fmt: (value) => smallNumberFmt(value, 1),
-        minCoverage: 0.6,
-        category: "Population & Society",
-      },
-      {
-        field: "infant_mortality_per_1000",
-        label: "Infant mortality (per 1k births)",
-        code: "SP.DYN.IMRT.IN",
-        fmt: (value) => smallNumberFmt(value, 1),
-        minCoverage: 0.6,
-        category: "Population & Society",
-      },
-      {
-        field: "gdp_nominal_usd",
-        label: "GDP (nominal, USD)",
-        code: "NY.GDP.MKTP.CD",
-        fmt: (value) => "$" + numberFmt(value),
-        alwaysInclude: true,
-        category: "Economy & Trade",
-      },
-      {
-        field: "gdp_per_capita_usd",
-        label: "GDP per capita (USD)",
-        code: "NY.GDP.PCAP.CD",
-        fmt: (value) => "$" + numberFmt(value),
-        alwaysInclude: true,
-        category: "Economy & Trade",
-      },
-      {
-        field: "gdp_growth_pct",
-        label: "GDP growth (%)",
-        code: "NY.GDP.MKTP.KD.ZG",
-        fmt: (value) => percentFmt(value, 1),
-        diffSuffix: "%",
-        minCoverage: 0.6,
-        category: "Economy & Trade",
-      },
-      {
-        field: "unemployment_rate_pct",
-        label: "Unemployment (%)",
-        code: "SL.UEM.TOTL.ZS",
-        fmt: (value) => percentFmt(value, 1),
-        diffSuffix: "%",
-        minCoverage: 0.6,
-        category: "Economy & Trade",
-      },
-      {
-        field: "inflation_cpi_pct",
-        label: "Inflation (CPI, %)",
-        code: "FP.CPI.TOTL.ZG",
-        fmt: (value) => percentFmt(value, 1),
-        diffSuffix: "%",
-        minCoverage: 0.6,
-        category: "Economy & Trade",
-      },
-      {
-        field: "exports_usd",
-        label: "Exports (USD)",
-        code: "NE.EXP.GNFS.CD",
-        fmt: (value) => "$" + numberFmt(value),
-        minCoverage: 0.5,
-        category: "Economy & Trade",
-      },
-      {
-        field: "imports_usd",
-        label: "Imports (USD)",
-        code: "NE.IMP.GNFS.CD",
-        fmt: (value) => "$" + numberFmt(value),
-        minCoverage: 0.5,
-        category: "Economy & Trade",
-      },
-      {
-        field: "health_exp_gdp_pct",
-        label: "Health expenditure (% GDP)",
-        code: "SH.XPD.CHEX.GD.ZS",
-        fmt: (value) => percentFmt(value, 1),
-        diffSuffix: "%",
-        minCoverage: 0.5,
-        category: "Health",
-      },
-      {
-        field: "health_exp_per_capita_usd",
-        label: "Health expenditure per capita (USD)",
-        code: "SH.XPD.CHEX.PC.CD",
-        fmt: (value) => (value == null ? "—" : "$" + numberFmt(value)),
-        minCoverage: 0.5,
-        category: "Health",
-      },
-      {
-        field: "access_to_electricity_pct",
-        label: "Access to electricity (%)",
-        code: "EG.ELC.ACCS.ZS",
-        fmt: (value) => percentFmt(value, 1),
-        diffSuffix: "%",
-        minCoverage: 0.6,
-        category: "Infrastructure & Connectivity",
-      },
-      {
-        field: "internet_users_pct",
-        label: "Internet users (%)",
-        code: "IT.NET.USER.ZS",
-        fmt: (value) => percentFmt(value, 1),
-        diffSuffix: "%",
-        minCoverage: 0.5,
-        category: "Infrastructure & Connectivity",
-      },
-      {
-        field: "mobile_subscriptions_per_100",
-        label: "Mobile subscriptions (per 100)",
-        code: "IT.CEL.SETS.P2",
-        fmt: (value) => smallNumberFmt(value, 1),
-        minCoverage: 0.6,
-        category: "Infrastructure & Connectivity",
-      },
-      {
-        field: "area_km2",
-        label: "Area (km²)",
-        code: "AG.SRF.TOTL.K2",
-        fmt: numberFmt,
-        alwaysInclude: true,
-        category: "Environment & Land",
-      },
-      {
-        field: "forest_area_pct",
-        label: "Forest area (%)",
-        code: "AG.LND.FRST.ZS",
-        fmt: (value) => percentFmt(value, 1),
-        diffSuffix: "%",
-        minCoverage: 0.6,
-        category: "Environment & Land",
-      },
-      {
-        field: "renewables_pct",
-        label: "Renewables electricity (%)",
-        code: "EG.ELC.RNEW.ZS",
-        fmt: (value) => percentFmt(value, 1),
-        diffSuffix: "%",
-        minCoverage: 0.4,
-        category: "Environment & Land",
-      },
+      ...catalogMetrics,
+      ...customIndicators.metrics.filter((metric) => !catalogMetrics.some((entry) => entry.code === metric.code)),
     ],
-    []
+    [catalogMetrics, customIndicators.metrics]
+  );
+  const catalogCodes = useMemo(() => new Set(catalogMetrics.map((metric) => metric.code)), [catalogMetrics]);
+
+  // Formula metrics computed from the fetched ones (catalog presets, then the user's own).
+  const derived = useMemo(() => {
+    const fields = fetchedMetrics.map((metric) => metric.field);
+    const presets = compileDerivedMetrics(catalogDerived, fields);
+    const own = compileDerivedMetrics(
+      userDerived.entries,
+      [...fields, ...presets.metrics.map((metric) => metric.field)],
+      { path: "saved" }
+    );
+    return { presets: presets.metrics, own: own.metrics, issues: [...presets.issues, ...own.issues] };
+  }, [catalogDerived, fetchedMetrics, userDerived.entries]);
+
+  const METRICS = useMemo(
+    () => [...fetchedMetrics, ...derived.presets, ...derived.own],
+    [fetchedMetrics, derived]
   );
 
   // -------------------------------------------------------------------------
   // State
   // -------------------------------------------------------------------------
-  const [liveRows, setLiveRows] = useState([]);
-  const [error, setError] = useState("");
-  const [lastRefreshed, setLastRefreshed] = useState(null);
-
-  const [codeA, setCodeA] = useState(null);
-  const [codeB, setCodeB] = useState(null);
-  const [hoverName, setHoverName] = useState("");
+  const {
+    rows: liveRows,
+    aggregates: liveAggregates,
+    featureCollection: worldFC,
+    metadata: indicatorMetadata,
+    error,
+    status: dataStatus,
+    lastRefreshed,
+    indicatorStatus,
+    retryIndicator,
+    removeField,
+  } = useCountryData(dataProvider, catalogStatus === "loading" ? null : fetchedMetrics);
+
+  const selection = useCountrySelection(MAX_SELECTION);
+  const { select: setSelection, clear } = selection;
+  // Hovered country for the map tooltip, kept outside React state so hovering does not re-render the map.
+  const [hoverStore] = useState(createHoverStore);
   const [isDraggingMap, setIsDraggingMap] = useState(false);
   const [filter, setFilter] = useState("");
+  const [regionFilter, setRegionFilter] = useState("");
+  const [incomeFilter, setIncomeFilter] = useState("");
+  // Year every view is resolved at (null = each country's latest value), with a ±N-year fallback.
+  const [selectedYear, setSelectedYear] = useState(null);
+  const [yearTolerance, setYearTolerance] = useState(0);
+  const [playbackMs, setPlaybackMs] = useState(DEFAULT_PLAYBACK_MS);
+  // "fixed": class breaks pooled over all years so colors compare across frames; "year": recomputed per year.
+  const [breaksMode, setBreaksMode] = useState("fixed");
   const [colorMetric, setColorMetric] = useState("gdp_per_capita_usd");
+  // Second "Color by" metric; when set, the map is bivariate (terciles of `colorMetric` × `colorMetric2`).
+  const [colorMetric2, setColorMetric2] = useState(null);
+  // Absolute-magnitude metric drawn as proportional circles over the choropleth (null = no symbols).
+  const [symbolMetric, setSymbolMetric] = useState(null);
   const [colorScaleMode, setColorScaleMode] = useState("quantile");
-  const [worldFC, setWorldFC] = useState(null);
-
-  // -------------------------------------------------------------------------
-  // Fetch World Bank metrics + GeoJSON boundaries
-  // -------------------------------------------------------------------------
-  const fetchLive = useCallback(async () => {
-    setError("");
-
-    try {
-      // 1. Country metadata from the World Bank.
-      const countryResponse = await fetch(
-        "https://api.worldbank.org/v2/country?format=json&per_page=400"
-      );
-      const countryJson = await countryResponse.json();
-      const countries = countryJson[1] || [];
-
-      const wbCountries = countries
-        .filter((country) => country.region?.id !== "NA" && country.iso3Code)
-        .map((country) => ({
-          iso3: country.iso3Code.toUpperCase(),
-          iso2: country.iso2Code ? country.iso2Code.toUpperCase() : null,
-          country: country.name,
-        }));
-
-      const wbNameMap = new Map(wbCountries.map((country) => [country.iso3, country.country]));
-      const wbIso2Map = new Map(wbCountries.map((country) => [country.iso3, country.iso2]));
-
-      // 2. GeoJSON boundary data for the world map.
-      const geoResponse = await fetch(geoUrl, { cache: "no-store" });
-      if (!geoResponse.ok) {
-        throw new Error(
-          `Failed to load world boundaries (status ${geoResponse.status} ${geoResponse.statusText || ""}).`.trim()
-        );
-      }
-
-      const geoJson = await geoResponse.json();
-      if (!Array.isArray(geoJson?.features)) {
-        throw new Error("GeoJSON response did not include a features array.");
-      }
-
-      const featureCollection =
-        geoJson?.type === "FeatureCollection"
-          ? geoJson
-          : { type: "FeatureCollection", features: geoJson.features };
-      const features = featureCollection.features;
-
-      const geoCountries = features
-        .map((feature) => {
-          const iso = getIso3(feature.properties);
-          const name = getNameProp(feature.properties);
-          const iso2 = getIso2(feature.properties);
-          return iso ? { iso3: iso, iso2: iso2 || null, country: name } : null;
-        })
-        .filter(Boolean);
-
-      const geoNameMap = new Map(geoCountries.map((country) => [country.iso3, country.country]));
-      const geoIso2Map = new Map(
-        geoCountries.filter((country) => country.iso2).map((country) => [country.iso3, country.iso2])
-      );
-
-      if (Array.isArray(features) && features.length > 0) {
-        setWorldFC(featureCollection);
-      }
-
-      // Helper that loads an individual indicator series from the World Bank API.
-      const fetchIndicator = async (code) => {
-        const indicatorResponse = await fetch(
-          `https://api.worldbank.org/v2/country/all/indicator/${code}?format=json&per_page=20000&MRV=10`
-        );
-        const indicatorJson = await indicatorResponse.json();
-        const rows = indicatorJson[1]?.filter((row) => row.countryiso3code) || [];
-
-        const latest = new Map();
-        const series = new Map();
-
-        for (const row of rows) {
-          const iso = String(row.countryiso3code).toUpperCase();
-          const valueRaw = row.value;
-          const year = parseInt(row.date, 10);
-
-          if (valueRaw == null || Number.isNaN(Number(valueRaw))) continue;
-
-          const value = typeof valueRaw === "string" ? Number(valueRaw) : valueRaw;
-
-          if (!series.has(iso)) series.set(iso, {});
-          const seriesForCountry = series.get(iso);
-          if (seriesForCountry[year] == null) seriesForCountry[year] = value;
-
-          const previous = latest.get(iso);
-          if (!previous || year > previous.year) latest.set(iso, { value, year });
-        }
-
-        return { latest, series };
-      };
-
-      // Pull all indicators in parallel.
-      const bundles = await Promise.all(METRICS.map((metric) => fetchIndicator(metric.code)));
-
-      // Combine the GeoJSON + World Bank sets to create the master row list.
-      const allIso = new Set([...wbNameMap.keys(), ...geoNameMap.keys()]);
-      bundles.forEach((bundle) => bundle.latest.forEach((_, iso) => allIso.add(iso)));
-
-      const nameMap = new Map(geoNameMap);
-      wbNameMap.forEach((name, iso) => nameMap.set(iso, name));
-
-      const rows = Array.from(allIso)
-        .filter((iso) => wbNameMap.has(iso) || geoNameMap.has(iso))
-        .map((iso) => {
-          const row = {
-            iso3: iso,
-            iso2: wbIso2Map.get(iso) || geoIso2Map.get(iso) || null,
-            country: nameMap.get(iso) || iso,
-            __years: {},
-          };
-
-          METRICS.forEach((metric, index) => {
-            const latest = bundles[index].latest.get(iso);
-            const series = bundles[index].series.get(iso);
-
-            if (latest) {
-              row[metric.field] = latest.value;
-              row.__years[metric.field] = latest.year;
-            }
-
-            row.__series || (row.__series = {});
-            if (series) row.__series[metric.field] = series;
-          });
-
-          return row;
-        });
-
-      setLiveRows(rows);
+  const [classCount, setClassCount] = useState(DEFAULT_CLASSES);
+  const [customBreaksText, setCustomBreaksText] = useState("");
+  const [staleAfterYears, setStaleAfterYears] = useState(DEFAULT_STALE_YEARS);
+  // Per-metric `{ palette, midpoint }` chosen in the map controls, over the catalog defaults.
+  const [paletteOverrides, setPaletteOverrides] = useState({});
+  const [addIndicatorOpen, setAddIndicatorOpen] = useState(false);
+  const closeAddIndicator = useCallback(() => setAddIndicatorOpen(false), []);
+  const [derivedDialogOpen, setDerivedDialogOpen] = useState(false);
+  const closeDerivedDialog = useCallback(() => setDerivedDialogOpen(false), []);
+
+  const derivedMetrics = useMemo(() => [...derived.presets, ...derived.own], [derived]);
+  const activeRows = useMemo(() => applyDerivedMetrics(liveRows, derivedMetrics), [liveRows, derivedMetrics]);
+  // Regions, income groups and World: selectable for comparison, never mapped or counted in coverage.
+  const aggregateRows = useMemo(
+    () => applyDerivedMetrics(liveAggregates, derivedMetrics),
+    [liveAggregates, derivedMetrics]
+  );
 
-      const now = Date.now();
-      setLastRefreshed(now);
-      try {
-        localStorage.setItem(LAST_KEY, String(now));
-      } catch {
-        // Ignore localStorage access failures (e.g., Safari private mode).
-      }
-    } catch (error) {
-      setError(error?.message || "Failed to fetch live data");
-    }
-  }, [METRICS]);
+  // Rows re-pointed at the selected year; coverage and the metric list stay based on the latest values.
+  const metricFields = useMemo(() => METRICS.map((metric) => metric.field), [METRICS]);
+  const yearBounds = useMemo(() => seriesYearBounds(activeRows, metricFields), [activeRows, metricFields]);
+  const yearRows = useMemo(
+    () => rowsAtYear(activeRows, metricFields, selectedYear, yearTolerance),
+    [activeRows, metricFields, selectedYear, yearTolerance]
+  );
+  const yearAggregates = useMemo(
+    () => rowsAtYear(aggregateRows, metricFields, selectedYear, yearTolerance),
+    [aggregateRows, metricFields, selectedYear, yearTolerance]
+  );
 
-  // --- Once-per-day refresh policy ---
   useEffect(() => {
-    let last = null;
-    try {
-      const raw = localStorage.getItem(LAST_KEY);
-      if (raw) last = Number(raw);
-    } catch {
-      // Ignore localStorage access failures (e.g., Safari private mode).
-    }
+    if (selectedYear == null || !yearBounds) return;
+    if (selectedYear < yearBounds[0] || selectedYear > yearBounds[1]) setSelectedYear(null);
+  }, [selectedYear, yearBounds]);
 
-    const now = Date.now();
-    if (!last || !Number.isFinite(last) || now - last > DAY_MS || !liveRows.length) {
-      fetchLive();
-    } else {
-      setLastRefreshed(last);
-    }
+  const playback = usePlayback({ bounds: yearBounds, year: selectedYear, setYear: setSelectedYear, intervalMs: playbackMs });
 
-    const id = setInterval(fetchLive, DAY_MS);
-    return () => clearInterval(id);
-  }, [fetchLive, liveRows.length]);
+  // Rows with a `__profile` are World Bank economies; the rest are shapes the World Bank does not list.
+  const worldBankCodes = useMemo(
+    () => new Set(activeRows.filter((row) => row.__profile).map((row) => row.iso3)),
+    [activeRows]
+  );
 
-  const activeRows = liveRows;
+  const codeReport = useMemo(() => {
+    if (!SHOW_DIAGNOSTICS || !worldFC || !worldBankCodes.size) return null;
+    return reconcileCodes({
+      features: worldFC.features,
+      countries: activeRows.filter((row) => row.__profile),
+      getName: getNameProp,
+    });
+  }, [activeRows, worldBankCodes, worldFC]);
 
   const dataByIso3 = useMemo(() => {
     const map = new Map();
-    for (const row of activeRows) {
+    for (const row of yearRows) {
       if (row.iso3) map.set(row.iso3.toUpperCase(), row);
     }
     return map;
-  }, [activeRows]);
+  }, [yearRows]);
 
+  // Any value in any year, so countries stay selectable when the selected year has no data for them.
   const countryHasData = useCallback(
     (row) => {
       if (!row) return false;
@@ -509,6 +483,7 @@ export default function App() {
         if (typeof value === "number" && !Number.isNaN(value)) {
           return true;
         }
+        if (Object.keys(row.__series?.[metric.field] || {}).length) return true;
       }
 
       return false;
@@ -523,14 +498,39 @@ export default function App() {
     for (const row of dataByIso3.values()) {
       if (!row?.iso3 || seen.has(row.iso3) || !countryHasData(row)) continue;
       seen.add(row.iso3);
-      unique.push({ iso3: row.iso3, iso2: row.iso2 || null, country: row.country || row.iso3 });
+      unique.push({
+        iso3: row.iso3,
+        iso2: row.iso2 || null,
+        country: row.country || row.iso3,
+        region: row.__profile?.region || null,
+        incomeLevel: row.__profile?.incomeLevel || null,
+      });
     }
 
     return unique.sort((a, b) => a.country.localeCompare(b.country));
   }, [countryHasData, dataByIso3]);
 
-  const dataA = codeA ? dataByIso3.get(codeA.toUpperCase()) : null;
-  const dataB = codeB ? dataByIso3.get(codeB.toUpperCase()) : null;
+  const aggregateByCode = useMemo(
+    () => new Map(yearAggregates.filter(countryHasData).map((row) => [row.iso3.toUpperCase(), row])),
+    [yearAggregates, countryHasData]
+  );
+
+  // Selected countries in slot order, with the slot that colors them on the map, list and table.
+  const selectedSlots = useMemo(
+    () =>
+      selection.slots.map(({ code, slot }) => {
+        const row = dataByIso3.get(code) || aggregateByCode.get(code) || null;
+        return { ...SELECTION_SLOTS[slot], code, row, name: entityLabel(row) };
+      }),
+    [aggregateByCode, dataByIso3, selection.slots]
+  );
+  const slotByCode = useMemo(() => new Map(selectedSlots.map((slot) => [slot.code, slot])), [selectedSlots]);
+  // Every selected country the tooltip compares the hovered one against, labelled by slot.
+  const tooltipCompare = useMemo(
+    () => selectedSlots.map((slot) => ({ label: slot.label, row: slot.row })),
+    [selectedSlots]
+  );
+  const baselineIndex = Math.max(0, selection.codes.indexOf(selection.baseline));
 
   const coverageByField = useMemo(() => {
     const stats = {};
@@ -617,6 +617,19 @@ export default function App() {
     return findMetricConfig(field)?.label || field;
   };
 
+  const metricInfoFor = (field) => {
+    const metric = findMetricConfig(field);
+    if (!metric) return null;
+
+    const inputs = metric.derived
+      ? metric.compiled.fields
+          .map(findMetricConfig)
+          .filter(Boolean)
+          .map((input) => ({ metric: input, metadata: indicatorMetadata[input.code] }))
+      : [];
+    return <MetricInfo metric={metric} metadata={indicatorMetadata[metric.code]} inputs={inputs} accessed={lastRefreshed} />;
+  };
+
   const metricGroups = useMemo(() => {
     if (!metrics.length) return [];
 
@@ -645,6 +658,7 @@ export default function App() {
         label: metric.label || metric.field,
         fmt: metric.fmt || numberFmt,
         diffSuffix: metric.diffSuffix || "",
+        polarity: metric.polarity || DEFAULT_POLARITY,
       });
     };
 
@@ -663,6 +677,7 @@ export default function App() {
           category: config?.category || "Additional metrics",
           fmt: config?.fmt || numberFmt,
           diffSuffix: config?.diffSuffix || "",
+          polarity: config?.polarity,
         },
         curatedMetrics.length + index
       );
@@ -675,6 +690,7 @@ export default function App() {
     if (!suppressedMetrics.length) return [];
 
     return suppressedMetrics
+      .filter((metric) => indicatorStatus[metric.field]?.status !== "error")
       .map((metric) => {
         const stats = coverageByField[metric.field];
         if (!stats || typeof stats.ratio !== "number") return null;
@@ -682,7 +698,7 @@ export default function App() {
         return `${metric.label} (${count} countries)`;
       })
       .filter(Boolean);
-  }, [suppressedMetrics, coverageByField]);
+  }, [suppressedMetrics, coverageByField, indicatorStatus]);
 
   useEffect(() => {
     if (!metrics.length) {
@@ -695,12 +711,20 @@ export default function App() {
     }
   }, [metrics, colorMetric]);
 
+  useEffect(() => {
+    if (colorMetric2 && (!metrics.includes(colorMetric2) || colorMetric2 === colorMetric)) setColorMetric2(null);
+  }, [metrics, colorMetric, colorMetric2]);
+
+  useEffect(() => {
+    if (symbolMetric && !metrics.includes(symbolMetric)) setSymbolMetric(null);
+  }, [metrics, symbolMetric]);
+
   const latestYearByField = useMemo(() => {
     const result = {};
 
     metrics.forEach((field) => {
       let max = null;
-      for (const row of activeRows) {
+      for (const row of yearRows) {
         const year = row.__years?.[field];
         if (typeof year === "number" && (max === null || year > max)) max = year;
       }
@@ -708,125 +732,202 @@ export default function App() {
     });
 
     return result;
-  }, [activeRows, metrics]);
+  }, [yearRows, metrics]);
 
   const defaultYear = useMemo(() => {
     const years = Object.values(latestYearByField).filter((year) => typeof year === "number");
     return years.length ? Math.max(...years) : null;
   }, [latestYearByField]);
 
-  const valueStats = useMemo(() => {
-    if (!colorMetric) return { vals: [], thresholds: [], palette: [] };
-
-    const values = activeRows
-      .map((row) => row[colorMetric])
-      .filter((value) => typeof value === "number" && !Number.isNaN(value))
-      .sort((a, b) => a - b);
-
-    if (!values.length) return { vals: [], thresholds: [], palette: [] };
-
-    const quantile = (p) => {
-      const index = (values.length - 1) * p;
-      const lo = Math.floor(index);
-      const hi = Math.ceil(index);
-      if (lo === hi) return values[lo];
-      const t = index - lo;
-      return values[lo] * (1 - t) + values[hi] * t;
-    };
+  const colorScheme = CLASSIFICATION_SCHEMES[colorScaleMode];
+
+  const colorMetricConfig = METRICS.find((metric) => metric.field === colorMetric);
+  const paletteOverride = paletteOverrides[colorMetric] || {};
+  const defaultPalette = colorMetricConfig?.palette || DEFAULT_PALETTE;
+  const colorPalette = paletteOverride.palette || defaultPalette;
+  const paletteMidpoint = paletteOverride.midpoint ?? colorMetricConfig?.paletteMidpoint ?? DEFAULT_MIDPOINT;
+  const overridePalette = useCallback(
+    (changes) =>
+      setPaletteOverrides((previous) => ({ ...previous, [colorMetric]: { ...previous[colorMetric], ...changes } })),
+    [colorMetric]
+  );
+  const customBreaks = useMemo(() => parseCustomBreaks(customBreaksText), [customBreaksText]);
+
+  // With fixed breaks the classification uses every year's values, so it stays put while the year changes.
+  const fixedBreaks = breaksMode === "fixed" && selectedYear != null;
+  const yearColorValues = useMemo(() => sortedValuesOf(yearRows, colorMetric), [yearRows, colorMetric]);
+  const pooledColorValues = useMemo(
+    () => (fixedBreaks ? sortedSeriesValuesOf(activeRows, colorMetric) : null),
+    [activeRows, colorMetric, fixedBreaks]
+  );
+  const sortedColorValues = pooledColorValues || yearColorValues;
+
+  // Class thresholds for the classed schemes.  Kept apart from the colors because Jenks is
+  // expensive and neither the palette nor its midpoint moves the breaks.
+  const classThresholds = useMemo(() => {
+    const values = sortedColorValues;
+    if (!values.length || colorScheme.continuous) return [];
+    return classBreaks(values, colorScaleMode, classCount, { customBreaks: customBreaks.breaks });
+  }, [classCount, colorScaleMode, colorScheme, customBreaks, sortedColorValues]);
 
-    const thresholds = [0.2, 0.4, 0.6, 0.8].map(quantile);
-    const palette = whiteBluePalette(5);
+  // Thresholds with their colors (`palette` has one color per class).
+  const valueStats = useMemo(() => {
+    const values = sortedColorValues;
+    const thresholds = classThresholds;
+    const palette = thresholds.length
+      ? classColors(colorPalette, thresholds, { min: values[0], max: values[values.length - 1], midpoint: paletteMidpoint })
+      : [];
 
     return { vals: values, thresholds, palette };
-  }, [activeRows, colorMetric]);
+  }, [classThresholds, colorPalette, paletteMidpoint, sortedColorValues]);
 
+  // Domain of the continuous ramps; the clamped ramp spans the 2nd–98th percentile so outliers don't wash it out.
   const linearStats = useMemo(() => {
-    if (!colorMetric) return { min: 0, max: 0, hasVals: false, range: 0 };
-
-    const values = activeRows
-      .map((row) => row[colorMetric])
-      .filter((value) => typeof value === "number" && !Number.isNaN(value));
-
+    const values = sortedColorValues;
     if (!values.length) return { min: 0, max: 0, hasVals: false, range: 0 };
 
-    const min = Math.min(...values);
-    const max = Math.max(...values);
+    const [min, max] =
+      colorScaleMode === "clampedLinear"
+        ? CLAMP_PERCENTILES.map((p) => quantileOf(values, p))
+        : [values[0], values[values.length - 1]];
     return { min, max, hasVals: true, range: max - min };
-  }, [activeRows, colorMetric]);
+  }, [colorScaleMode, sortedColorValues]);
 
   const colorFor = useCallback(
     (value) => {
       if (!colorMetric) return whiteBlue(0);
       if (typeof value !== "number" || Number.isNaN(value)) return whiteBlue(0);
 
-      if (colorScaleMode === "quantile") {
-        if (!valueStats.vals.length) return whiteBlue(0);
+      if (!colorScheme.continuous) {
+        if (!valueStats.palette.length) return whiteBlue(0);
 
         const { thresholds, palette } = valueStats;
-        let index = 0;
-        while (index < thresholds.length && value > thresholds[index]) index += 1;
-        return palette[index];
+        return palette[classIndex(value, thresholds)];
       }
 
       if (!linearStats.hasVals || linearStats.max === linearStats.min) return whiteBlue(0);
-      const t = (value - linearStats.min) / (linearStats.max - linearStats.min);
-      return whiteBlue(t);
+      return continuousColor(colorPalette, value, { ...linearStats, midpoint: paletteMidpoint });
     },
-    [colorMetric, colorScaleMode, linearStats, valueStats]
+    [colorMetric, colorPalette, colorScheme, linearStats, paletteMidpoint, valueStats]
   );
 
-  const filtered = useMemo(() => {
-    const term = filter.toLowerCase();
-    return countryList.filter((country) => (country.country || "").toLowerCase().includes(term));
-  }, [countryList, filter]);
-
-  const [lastA, setLastA] = useState(0);
-  const [lastB, setLastB] = useState(0);
-
-  const setSelection = (iso3) => {
-    if (!iso3) return;
-
-    const iso = iso3.toUpperCase();
-    if (iso === codeA || iso === codeB) return;
-
-    const now = Date.now();
-
-    if (!codeA && !codeB) {
-      setCodeA(iso);
-      setLastA(now);
-      return;
-    }
-
-    if (!codeA) {
-      setCodeA(iso);
-      setLastA(now);
-      return;
-    }
+  // Tercile thresholds of both metrics, from the same quantile breaks the classed legend uses.
+  const isBivariate = Boolean(colorMetric && colorMetric2);
+  const bivariateStats = useMemo(() => {
+    if (!isBivariate) return null;
+    const ySorted = fixedBreaks ? sortedSeriesValuesOf(activeRows, colorMetric2) : sortedValuesOf(yearRows, colorMetric2);
+    return {
+      x: { vals: sortedColorValues, thresholds: classBreaks(sortedColorValues, "quantile", BIVARIATE_CLASSES) },
+      y: { vals: ySorted, thresholds: classBreaks(ySorted, "quantile", BIVARIATE_CLASSES) },
+    };
+  }, [activeRows, colorMetric2, fixedBreaks, isBivariate, sortedColorValues, yearRows]);
 
-    if (!codeB) {
-      setCodeB(iso);
-      setLastB(now);
-      return;
-    }
+  // Fill for a mapped row: its bivariate cell, or the single-metric color.
+  const mapColorFor = useCallback(
+    (row) => {
+      if (!bivariateStats) return colorFor(row[colorMetric]);
+      const xClass = classIndex(row[colorMetric], bivariateStats.x.thresholds);
+      const yClass = classIndex(row[colorMetric2], bivariateStats.y.thresholds);
+      return BIVARIATE_PALETTE[yClass][xClass];
+    },
+    [bivariateStats, colorFor, colorMetric, colorMetric2]
+  );
 
-    if (lastA <= lastB) {
-      setCodeA(iso);
-      setLastA(now);
-    } else {
-      setCodeB(iso);
-      setLastB(now);
-    }
-  };
+  // Metrics listed in the map tooltip: the color metric(s), then the circle metric.
+  const tooltipFieldNames = useMemo(
+    () => [...new Set([colorMetric, ...(isBivariate ? [colorMetric2] : []), symbolMetric].filter(Boolean))],
+    [colorMetric, colorMetric2, isBivariate, symbolMetric]
+  );
+  const tooltipFields = tooltipFieldNames.map((field) => {
+    const config = findMetricConfig(field);
+    return { field, label: labelFor(field), fmt: config?.fmt || numberFmt, diffSuffix: config?.diffSuffix || "" };
+  });
+  // Ranks among mapped economies, computed once per metric rather than on every hover.
+  const tooltipRanks = useMemo(() => {
+    const economies = yearRows.filter((row) => row.__profile);
+    return Object.fromEntries(
+      tooltipFieldNames.map((field) => [
+        field,
+        rankBy(economies, field, METRICS.find((metric) => metric.field === field)?.polarity),
+      ])
+    );
+  }, [METRICS, tooltipFieldNames, yearRows]);
+
+  // "missing" (no value for a mapped metric), "stale" (older than `staleAfterYears`) or "current".
+  const mappedFields = useMemo(
+    () => (isBivariate ? [colorMetric, colorMetric2] : [colorMetric]),
+    [colorMetric, colorMetric2, isBivariate]
+  );
+  const latestColorYear = latestYearByField[colorMetric];
+  const valueStateFor = useCallback(
+    (row) => {
+      let state = "current";
+      for (const field of mappedFields) {
+        const value = row?.[field];
+        if (typeof value !== "number" || Number.isNaN(value)) return "missing";
+        const year = row.__years?.[field];
+        const latest = latestYearByField[field];
+        if (staleAfterYears != null && latest != null && year != null && latest - year > staleAfterYears) {
+          state = "stale";
+        }
+      }
+      return state;
+    },
+    [latestYearByField, mappedFields, staleAfterYears]
+  );
 
-  const swap = useCallback(() => {
-    setCodeA(codeB);
-    setCodeB(codeA);
-  }, [codeA, codeB]);
+  // Legend counts over World Bank economies (aggregates have no shape and are not mapped).
+  const valueStateCounts = useMemo(() => {
+    const counts = { missing: 0, stale: 0, current: 0 };
+    yearRows.forEach((row) => {
+      if (row.__profile) counts[valueStateFor(row)] += 1;
+    });
+    return counts;
+  }, [valueStateFor, yearRows]);
+
+  // Distinct `{ id, name }` classifications present in the country list, by name.
+  const classificationOptions = useCallback(
+    (key) => {
+      const byId = new Map();
+      countryList.forEach((country) => {
+        if (country[key]) byId.set(country[key].id, country[key].name);
+      });
+      return Array.from(byId, ([id, name]) => ({ id, name })).sort((a, b) => a.name.localeCompare(b.name));
+    },
+    [countryList]
+  );
+  const regionOptions = useMemo(() => classificationOptions("region"), [classificationOptions]);
+  const incomeOptions = useMemo(() => classificationOptions("incomeLevel"), [classificationOptions]);
 
-  const clear = useCallback(() => {
-    setCodeA(null);
-    setCodeB(null);
-  }, []);
+  const filtered = useMemo(() => {
+    const term = filter.toLowerCase();
+    return countryList.filter(
+      (country) =>
+        (country.country || "").toLowerCase().includes(term) &&
+        (!regionFilter || country.region?.id === regionFilter) &&
+        (!incomeFilter || country.incomeLevel?.id === incomeFilter)
+    );
+  }, [countryList, filter, regionFilter, incomeFilter]);
+
+  // World Bank region and income-group ids double as their aggregate codes
+  // (SSF, HIC…), so an active filter narrows the aggregates to the matching ones.
+  const filteredAggregates = useMemo(() => {
+    const term = filter.toLowerCase();
+    const classified = [regionFilter, incomeFilter].filter(Boolean);
+    return Array.from(aggregateByCode.values())
+      .filter((row) => (row.country || "").toLowerCase().includes(term) || row.iso3.toLowerCase() === term)
+      .filter((row) => !classified.length || classified.includes(row.iso3))
+      .sort((a, b) => a.country.localeCompare(b.country));
+  }, [aggregateByCode, filter, regionFilter, incomeFilter]);
+
+  const { removeIndicator } = customIndicators;
+  const handleRemoveIndicator = useCallback(
+    (field) => {
+      removeIndicator(field);
+      removeField(field);
+    },
+    [removeIndicator, removeField]
+  );
 
   // Accessibility: allow keyboard users to select countries.
   const onGeoKeyDown = (event, iso3, disabled) => {
@@ -851,14 +952,78 @@ export default function App() {
   useEffect(() => {
     centerRef.current = center;
   }, [center]);
+
+  const [projectionId, setProjectionId] = useState(readStoredProjection);
+  const projectionOption = MAP_PROJECTIONS[projectionId];
+  const isGlobe = Boolean(projectionOption.globe);
+  const changeProjection = useCallback((id) => {
+    setProjectionId(id);
+    writeStoredProjection(id);
+  }, []);
+
+  // Finer boundaries are swapped in as the zoom crosses each level's threshold; the projection
+  // stays fitted to the base collection so the view never jumps.
+  const { collection: detailFC, resolution: boundaryResolution, loading: boundaryLoading } = useBoundaryDetail(
+    dataProvider,
+    worldFC,
+    zoom
+  );
+  // Rotating the globe reprojects every shape on every frame, so a drag draws the base collection.
+  const mapFC = isGlobe && isDraggingMap ? worldFC : detailFC;
+
+  // Economies without a shape at the drawn resolution (at 110m: Singapore, Malta, most island states)
+  // are drawn as point markers at the World Bank's capital coordinates instead.
+  const markerRows = useMemo(() => {
+    if (!mapFC) return [];
+    const shapeCodes = new Set(mapFC.features.map((feature) => getIso3(feature.properties, worldBankCodes)));
+    return yearRows.filter(
+      (row) =>
+        !shapeCodes.has(row.iso3) &&
+        Number.isFinite(row.__profile?.longitude) &&
+        Number.isFinite(row.__profile?.latitude)
+    );
+  }, [mapFC, worldBankCodes, yearRows]);
+
+  // Natural Earth label points (LABEL_X/LABEL_Y) by ISO3, where proportional symbols are anchored.
+  const labelPoints = useMemo(() => {
+    const points = new Map();
+    mapFC?.features.forEach((feature) => {
+      const { LABEL_X: lon, LABEL_Y: lat } = feature.properties || {};
+      const iso3 = getIso3(feature.properties, worldBankCodes);
+      if (iso3 && Number.isFinite(lon) && Number.isFinite(lat)) points.set(iso3, [lon, lat]);
+    });
+    return points;
+  }, [mapFC, worldBankCodes]);
+
+  // Symbols for economies with a positive value, largest first so small circles are drawn on top.
+  // Economies without a label point fall back to their capital, like the point markers.
+  const symbolRows = useMemo(() => {
+    if (!symbolMetric) return [];
+    return yearRows
+      .filter((row) => row.__profile && typeof row[symbolMetric] === "number" && row[symbolMetric] > 0)
+      .map((row) => ({
+        row,
+        value: row[symbolMetric],
+        coordinates: labelPoints.get(row.iso3) || [row.__profile.longitude, row.__profile.latitude],
+      }))
+      .filter(({ coordinates }) => coordinates.every(Number.isFinite))
+      .sort((a, b) => b.value - a.value);
+  }, [labelPoints, symbolMetric, yearRows]);
+  const symbolMax = symbolRows[0]?.value ?? 0;
+
   const containerRef = useRef(null);
   const [mapW, setMapW] = useState(BASE_W);
   const [mapH, setMapH] = useState(BASE_H);
 
+  // The globe is panned by rotating it so `center` faces the viewer, which makes the rotation part of the projection.
+  const globeCenter = isGlobe ? center : null;
+
   const mapProjection = useMemo(() => {
-    const projection = geoEqualEarth().translate([mapW / 2, mapH / 2]);
+    const projection = projectionOption.create().translate([mapW / 2, mapH / 2]);
     try {
-      if (worldFC) {
+      if (globeCenter) {
+        projection.fitSize([mapW, mapH], SPHERE).rotate([-globeCenter[0], -globeCenter[1]]);
+      } else if (worldFC) {
         projection.fitSize([mapW, mapH], worldFC);
       } else {
         projection.scale(150 * (mapW / BASE_W));
@@ -867,7 +1032,7 @@ export default function App() {
       projection.scale(150 * (mapW / BASE_W));
     }
     return projection;
-  }, [worldFC, mapW, mapH]);
+  }, [globeCenter, projectionOption, worldFC, mapW, mapH]);
 
   const mapDragBounds = useMemo(() => {
     if (!mapProjection || !worldFC) {
@@ -885,7 +1050,7 @@ export default function App() {
 
     try {
       const path = geoPath(mapProjection);
-      const bounds = path.bounds(worldFC);
+      const bounds = path.bounds(isGlobe ? SPHERE : worldFC);
       if (!bounds || bounds.length !== 2) throw new Error("invalid bounds");
 
       const [[minX, minY], [maxX, maxY]] = bounds;
@@ -919,13 +1084,18 @@ export default function App() {
         padY: 0,
       };
     }
-  }, [mapProjection, worldFC, mapW, mapH]);
+  }, [isGlobe, mapProjection, worldFC, mapW, mapH]);
 
   const constrainDragPosition = useCallback(
     (position) => {
       const rawZoom = position?.zoom ?? zoomRef.current ?? 1;
       const safeZoom = Math.max(1, Math.min(rawZoom, 8));
 
+      // The globe always stays centered; dragging rotates it instead (see `handleMove`).
+      if (isGlobe) {
+        return { x: (mapW / 2) * (1 - safeZoom), y: (mapH / 2) * (1 - safeZoom), zoom: safeZoom };
+      }
+
       if (!mapProjection || !mapDragBounds) {
         return {
           x: Number.isFinite(position?.x) ? position.x : 0,
@@ -988,7 +1158,7 @@ export default function App() {
         zoom: safeZoom,
       };
     },
-    [mapDragBounds, mapProjection, mapW, mapH]
+    [isGlobe, mapDragBounds, mapProjection, mapW, mapH]
   );
 
   const clampCenter = useCallback(
@@ -996,6 +1166,11 @@ export default function App() {
       const safeZoom = Math.max(1, Math.min(rawZoom ?? 1, 8));
       const [lon = 0, lat = 0] = Array.isArray(coordinates) ? coordinates : [0, 0];
 
+      // Rotation bounds: any longitude, latitudes short of the poles.
+      if (isGlobe) {
+        return [wrapLongitude(lon), Math.max(-GLOBE_MAX_LATITUDE, Math.min(GLOBE_MAX_LATITUDE, lat))];
+      }
+
       if (!mapProjection?.invert) {
         return [Math.max(-180, Math.min(180, lon)), Math.max(-90, Math.min(90, lat))];
       }
@@ -1028,7 +1203,7 @@ export default function App() {
         Math.max(-90, Math.min(90, adjusted[1])),
       ];
     },
-    [constrainDragPosition, mapProjection, mapW, mapH]
+    [constrainDragPosition, isGlobe, mapProjection, mapW, mapH]
   );
 
   const setView = useCallback(
@@ -1085,20 +1260,56 @@ export default function App() {
   );
 
   const skipClickRef = useRef(false);
+  const rotateOriginRef = useRef(center);
+  // Globe rotation is applied at most once per animation frame; `pendingRotationRef` holds the latest view.
+  const rotateFrameRef = useRef(null);
+  const pendingRotationRef = useRef(null);
+
+  const flushRotation = useCallback(() => {
+    if (rotateFrameRef.current != null) window.cancelAnimationFrame(rotateFrameRef.current);
+    rotateFrameRef.current = null;
+    const pending = pendingRotationRef.current;
+    pendingRotationRef.current = null;
+    if (pending) setView(pending.center, pending.zoom);
+    return Boolean(pending);
+  }, [setView]);
+
+  useEffect(
+    () => () => {
+      if (rotateFrameRef.current != null) window.cancelAnimationFrame(rotateFrameRef.current);
+    },
+    []
+  );
 
   const handleMoveStart = useCallback(() => {
     draggingRef.current = false;
     skipClickRef.current = false;
+    rotateOriginRef.current = centerRef.current;
   }, []);
 
-  const handleMove = useCallback(() => {
-    if (!draggingRef.current) {
-      draggingRef.current = true;
-      setIsDraggingMap(true);
-      setHoverName("");
-    }
-    skipClickRef.current = true;
-  }, [setHoverName, setIsDraggingMap]);
+  const handleMove = useCallback(
+    (_, position) => {
+      if (!draggingRef.current) {
+        draggingRef.current = true;
+        setIsDraggingMap(true);
+        hoverStore.set(null);
+      }
+      skipClickRef.current = true;
+
+      if (isGlobe && position?.dragDelta) {
+        // Degrees per SVG unit at the globe's current scale, so the point under the cursor follows it.
+        const degreesPerUnit = 180 / Math.PI / (mapProjection.scale() * (position.zoom || 1));
+        const [originLon, originLat] = rotateOriginRef.current;
+        const [dx, dy] = position.dragDelta;
+        pendingRotationRef.current = {
+          center: [originLon - dx * degreesPerUnit, originLat + dy * degreesPerUnit],
+          zoom: position.zoom,
+        };
+        if (rotateFrameRef.current == null) rotateFrameRef.current = window.requestAnimationFrame(flushRotation);
+      }
+    },
+    [flushRotation, hoverStore, isGlobe, mapProjection, setIsDraggingMap]
+  );
 
   const handleMoveOrZoomEnd = useCallback(
     (_, position) => {
@@ -1115,9 +1326,11 @@ export default function App() {
       } else {
         skipClickRef.current = false;
       }
+      // A rotation still waiting for its frame is the final view; the projection in scope predates it.
+      if (flushRotation()) return;
       applyPosition(position);
     },
-    [applyPosition]
+    [applyPosition, flushRotation]
   );
 
   useEffect(() => {
@@ -1142,9 +1355,22 @@ export default function App() {
       console.assert(smallNumberFmt(1.239, 1) === "1.2" && smallNumberFmt(1.2, 1) === "1.2");
       console.assert(smallNumberFmt(-1.239, 1) === "-1.2");
 
+      console.assert(resolveFormat({ type: "currency", compact: true })(2e6) === "$2.0M");
+      console.assert(resolveFormat({ type: "currency", compact: true })(-2e6) === "-$2.0M");
+
+      const density = compileFormula("(a + b) / c * 100 - -2^2", { fields: ["a", "b", "c"] });
+      console.assert(density.evaluate((name) => ({ a: 1, b: 3, c: 8 })[name]) === 54);
+      console.assert(density.evaluate((name) => ({ a: 1, b: 3, c: 0 })[name]) === null);
+      console.assert(density.evaluate((name) => ({ a: 1, c: 8 })[name]) === null);
+      console.assert(resolveFormat({ type: "currency", compact: true })(null) === "—");
+      console.assert(resolveFormat({ type: "percent", digits: 1 })(12.34) === "12.3%");
+      console.assert(resolveFormat({ type: "number", compact: false, digits: 1 })(71.26) === "71.2");
+
       console.assert(typeof getNameProp({ NAME: "Test" }) === "string");
       console.assert(getIso3({ ISO_A3: "USA" }) === "USA" && getIso3({ iso_a3: "fra" }) === "FRA");
       console.assert(getIso3({ ISO_A3: "-99" }) === null);
+      console.assert(getIso3({ ISO_A3: "-99", ISO_A3_EH: "FRA", ADM0_A3: "FRA" }) === "FRA", "France resolves via ISO_A3_EH");
+      console.assert(getIso3({ ISO_A3: "-99", ISO_A3_EH: "-99", ADM0_A3: "KOS", WB_A3: "KSV" }) === "XKX", "Kosovo alias");
 
       console.assert(whiteBlue(0) === "hsl(210, 70%, 98%)");
       console.assert(whiteBlue(1) === "hsl(210, 70%, 58%)");
@@ -1160,17 +1386,26 @@ export default function App() {
         );
       }
 
-      if (valueStats.vals.length) {
+      if (valueStats.palette.length) {
         const thresholds = valueStats.thresholds;
         console.assert(
-          thresholds.length === 4 && thresholds.every((value, index, arr) => index === 0 || value >= arr[index - 1])
+          thresholds.length === valueStats.palette.length - 1 &&
+            thresholds.every((value, index, arr) => index === 0 || value >= arr[index - 1])
         );
-        const minColorQ = colorFor(valueStats.vals[0]);
-        const maxColorQ = colorFor(valueStats.vals[valueStats.vals.length - 1]);
-        console.assert(minColorQ !== maxColorQ);
+        if (colorScaleMode === "quantile") {
+          const minColorQ = colorFor(valueStats.vals[0]);
+          const maxColorQ = colorFor(valueStats.vals[valueStats.vals.length - 1]);
+          console.assert(minColorQ !== maxColorQ);
+        }
       }
 
-      if (linearStats.hasVals) {
+      console.assert(classBreaks([1, 2, 3, 10, 11, 12, 30, 31], "jenks", 3).join() === "3,12", "Jenks breaks");
+      console.assert(classBreaks([0, 10], "equalInterval", 5).join() === "2,4,6,8", "equal-interval breaks");
+      console.assert(classBreaks([1, 10, 100, 1000], "log", 3).map(Math.round).join() === "10,100", "log breaks");
+      console.assert(parseCustomBreaks("5, 1; 3").breaks.join() === "1,3,5" && parseCustomBreaks("1, x").error);
+      console.assert(classIndex(5, [1, 5, 9]) === 1 && classIndex(5.1, [1, 5, 9]) === 2);
+
+      if (colorScheme.continuous && linearStats.hasVals && linearStats.min !== linearStats.max) {
         const mid = (linearStats.min + linearStats.max) / 2;
         const cMin = colorFor(linearStats.min);
         const cMid = colorFor(mid);
@@ -1178,13 +1413,22 @@ export default function App() {
         console.assert(cMin !== cMax && cMin !== cMid && cMid !== cMax);
       }
 
-      const gradient = "linear-gradient(to right, " + whiteBlue(0) + ", " + whiteBlue(1) + ")";
+      const gradient = paletteGradient(DEFAULT_PALETTE, { min: 0, max: 1 });
       console.assert(typeof gradient === "string" && gradient.includes("linear-gradient"));
 
-      if (valueStats.palette.length) {
+      if (valueStats.palette.length && colorPalette === "blues") {
         console.assert(valueStats.palette[0] === whiteBlue(0) && valueStats.palette.at(-1) === whiteBlue(1));
       }
 
+      const growthClasses = classColors("rdBu", [-2, 0, 2], { min: -4, max: 4, midpoint: 0 });
+      console.assert(growthClasses[0] !== growthClasses[3] && growthClasses[1] !== growthClasses[2], "diverging classes");
+      console.assert(continuousColor("rdBu", 0, { min: -1, max: 3, midpoint: 0 }) === "#f7f7f7", "diverging midpoint");
+      console.assert(classColors("okabeIto", [1, 2], { min: 0, max: 3 })[1] === PALETTES.okabeIto.colors[1]);
+      if (bivariateStats) {
+        console.assert(bivariateStats.x.thresholds.length <= BIVARIATE_CLASSES - 1, "bivariate terciles");
+        console.assert(BIVARIATE_PALETTE.length === BIVARIATE_CLASSES && BIVARIATE_PALETTE.every((row) => row.length === BIVARIATE_CLASSES));
+      }
+
       const computedScale = typeof mapProjection?.scale === "function" ? mapProjection.scale() : null;
       if (mapW && mapH) {
         console.assert(typeof computedScale === "number" && computedScale > 0);
@@ -1198,23 +1442,25 @@ export default function App() {
 
       console.assert(latestYearByField && typeof latestYearByField === "object");
 
-      if (!codeA && !codeB) {
-        const hdrA = dataA?.country || "—";
-        const hdrB = dataB?.country || "—";
-        console.assert(hdrA === "—" && hdrB === "—");
-      }
+      console.assert(selectedSlots.length <= MAX_SELECTION, "selection within slot limit");
+      console.assert(!selectedSlots.length || selectedSlots.some((slot) => slot.code === selection.baseline), "baseline selected");
 
       console.assert(relAB(5, 3) === "A" && relAB(3, 5) === "B" && relAB(2, 2) === "tie" && relAB(null, 1) === "na");
       console.assert(relAB("10", 9.999) === "A");
       console.assert(relAB("5", "5") === "tie");
+      console.assert(relAB(5, 3, "lower") === "B" && relAB(3, 5, "lower") === "A" && relAB(5, 3, "neutral") === "A");
+      const sampleRanks = rankBy([{ iso3: "AAA", x: 1 }, { iso3: "BBB", x: 3 }], "x", "lower");
+      console.assert(sampleRanks.byIso3.get("AAA") === 1 && sampleRanks.byIso3.get("BBB") === 2, "lower ranks lowest first");
 
       console.assert(typeof fmtTime(Date.now()) === "string");
       console.assert(typeof zoom === "number" && Array.isArray(center) && center.length === 2);
-      console.assert(typeof clear === "function" && typeof swap === "function", "clear/swap exist");
+      console.assert(typeof clear === "function" && typeof setSelection === "function", "clear/select exist");
       console.assert(metrics.includes("population"), "metrics include base fields");
+      console.assert(![...dataByIso3.values()].some((row) => row.aggregate), "aggregates never mapped");
 
       // Daily refresh checks (non-fatal)
-      console.assert(typeof localStorage !== "undefined", "localStorage available");
+      console.assert(typeof indexedDB !== "undefined", "IndexedDB available");
+      console.assert(Object.hasOwn(DATA_STATUS_STYLES, dataStatus), "known data status");
       if (lastRefreshed) console.assert(lastRefreshed <= Date.now(), "lastRefreshed sane");
     } catch (error) {
       console.error("Self-tests error:", error);
@@ -1222,13 +1468,15 @@ export default function App() {
       console.groupEnd();
     }
   }, [
+    bivariateStats,
     center,
     clear,
-    codeA,
-    codeB,
     colorFor,
-    dataA,
-    dataB,
+    colorPalette,
+    colorScaleMode,
+    colorScheme,
+    dataByIso3,
+    dataStatus,
     defaultYear,
     lastRefreshed,
     latestYearByField,
@@ -1237,7 +1485,9 @@ export default function App() {
     mapProjection,
     mapW,
     metrics,
-    swap,
+    selectedSlots,
+    selection.baseline,
+    setSelection,
     valueStats,
     zoom,
   ]);
@@ -1262,10 +1512,9 @@ export default function App() {
     return () => observer.disconnect();
   }, []);
 
-  const hasLegendVals =
-    colorScaleMode === "quantile"
-      ? valueStats.vals.length >= 2
-      : linearStats.hasVals && linearStats.min !== linearStats.max;
+  const hasLegendVals = colorScheme.continuous
+    ? linearStats.hasVals && linearStats.min !== linearStats.max
+    : valueStats.palette.length >= 2;
 
   return (
     <div className="min-h-screen bg-white text-slate-900">
@@ -1277,7 +1526,7 @@ export default function App() {
           <div>
             <h1 className="text-2xl sm:text-3xl font-bold tracking-tight">Country Comparator</h1>
             <p className="text-sm text-slate-500 mt-1">
-              Click two countries to compare. Data loads live from the World Bank (latest non-null year shown). Auto-refreshes once
+              Click up to {MAX_SELECTION} countries to compare. Data loads live from the World Bank (latest non-null year shown). Auto-refreshes once
               daily.
             </p>
             {error && <p className="text-xs mt-1 text-rose-600">{error}</p>}
@@ -1286,16 +1535,90 @@ export default function App() {
             <Button variant="outline" onClick={clear} className="gap-2">
               Clear
             </Button>
-            <Button variant="secondary" onClick={swap} className="gap-2">
-              <ArrowLeftRight className="h-4 w-4" />
-              Swap
+            <Button variant="outline" onClick={() => setAddIndicatorOpen(true)} className="gap-2">
+              <Plus className="h-4 w-4" />
+              Add indicator
+            </Button>
+            <Button variant="outline" onClick={() => setDerivedDialogOpen(true)} className="gap-2">
+              <Sigma className="h-4 w-4" />
+              Derived metric
             </Button>
-            <span className="text-xs text-slate-500">
-              Data last updated: <span className="font-medium">{lastRefreshed ? fmtTime(lastRefreshed) : "—"}</span>
-            </span>
+            <span className="text-xs text-slate-500">Year</span>
+            <Select
+              value={selectedYear == null ? "" : String(selectedYear)}
+              onChange={(value) => setSelectedYear(value === "" ? null : Number(value))}
+              className="w-40"
+              disabled={!yearBounds}
+              aria-label="Year shown on the map and in the table"
+            >
+              <SelectItem value="">Latest available</SelectItem>
+              {yearBounds &&
+                Array.from({ length: yearBounds[1] - yearBounds[0] + 1 }, (_, index) => yearBounds[1] - index).map((year) => (
+                  <SelectItem key={year} value={String(year)}>
+                    {year}
+                  </SelectItem>
+                ))}
+            </Select>
+            <div className="flex items-center gap-1" role="group" aria-label="Year playback">
+              <Button variant="outline" onClick={() => playback.step(-1)} disabled={!yearBounds} title="Previous year">
+                <SkipBack className="h-4 w-4" />
+              </Button>
+              <Button
+                variant="outline"
+                onClick={playback.playing ? playback.pause : playback.play}
+                disabled={!yearBounds}
+                title={playback.playing ? "Pause" : "Play through the years"}
+              >
+                {playback.playing ? <Pause className="h-4 w-4" /> : <Play className="h-4 w-4" />}
+              </Button>
+              <Button variant="outline" onClick={() => playback.step(1)} disabled={!yearBounds} title="Next year">
+                <SkipForward className="h-4 w-4" />
+              </Button>
+              <Select
+                value={String(playbackMs)}
+                onChange={(value) => setPlaybackMs(Number(value))}
+                className="w-20"
+                aria-label="Playback speed"
+              >
+                {PLAYBACK_SPEEDS.map((speed) => (
+                  <SelectItem key={speed.ms} value={String(speed.ms)}>
+                    {speed.label}
+                  </SelectItem>
+                ))}
+              </Select>
+            </div>
+            {selectedYear != null && (
+              <Select value={breaksMode} onChange={setBreaksMode} className="w-52" aria-label="Class breaks over time">
+                <SelectItem value="fixed">Breaks fixed across years</SelectItem>
+                <SelectItem value="year">Breaks recomputed each year</SelectItem>
+              </Select>
+            )}
+            {selectedYear != null && (
+              <Select
+                value={String(yearTolerance)}
+                onChange={(value) => setYearTolerance(Number(value))}
+                className="w-44"
+                aria-label="Nearest-year fallback"
+              >
+                {YEAR_TOLERANCE_OPTIONS.map((years) => (
+                  <SelectItem key={years} value={String(years)}>
+                    {years ? `Nearest year within ±${years}` : "Exact year only"}
+                  </SelectItem>
+                ))}
+              </Select>
+            )}
+            <DataStatusBadge status={dataStatus} lastRefreshed={lastRefreshed} />
           </div>
         </header>
 
+        <CatalogIssuesPanel issues={catalogIssues} />
+        <CatalogIssuesPanel issues={customIndicators.issues} source="added indicators saved in this browser" />
+        <CatalogIssuesPanel
+          issues={[...userDerived.issues, ...derived.issues]}
+          source="derived metrics; saved[…] are the ones defined in this browser"
+        />
+        <IndicatorStatusPanel metrics={fetchedMetrics} statuses={indicatorStatus} onRetry={retryIndicator} />
+
         {/* ----------------------------------------------------------------- */}
         {/* Content */}
         {/* ----------------------------------------------------------------- */}
@@ -1307,8 +1630,8 @@ export default function App() {
                 <div className="flex items-center gap-2 text-sm text-slate-500">
                   <Info className="h-4 w-4" />
                   <span>
-                    Click the map to select up to two countries. Click a different country to replace the older selection, or use
-                    Clear.
+                    Click the map to select up to {MAX_SELECTION} countries. Once all slots are full, a new country replaces the
+                    oldest selection; remove countries with their chips, or use Clear.
                   </span>
                 </div>
                 <div className="flex items-center gap-3">
@@ -1320,10 +1643,129 @@ export default function App() {
                       </SelectItem>
                     ))}
                   </Select>
-                  <span className="text-xs text-slate-500">Scale</span>
-                  <Select value={colorScaleMode} onChange={setColorScaleMode} className="w-40">
-                    <SelectItem value="quantile">Quantile (quintiles)</SelectItem>
-                    <SelectItem value="linear">Linear</SelectItem>
+                  {metricInfoFor(colorMetric)}
+                  <span className="text-xs text-slate-500">against</span>
+                  <Select
+                    value={colorMetric2 || ""}
+                    onChange={(value) => setColorMetric2(value || null)}
+                    className="w-56"
+                    disabled={metrics.length < 2}
+                    aria-label="Second color metric (bivariate map)"
+                  >
+                    <SelectItem value="">— (single metric)</SelectItem>
+                    {metrics
+                      .filter((metric) => metric !== colorMetric)
+                      .map((metric) => (
+                        <SelectItem key={metric} value={metric}>
+                          {labelFor(metric)}
+                        </SelectItem>
+                      ))}
+                  </Select>
+                  {colorMetric2 && metricInfoFor(colorMetric2)}
+                  {!isBivariate && (
+                    <>
+                      <span className="text-xs text-slate-500">Scale</span>
+                      <Select value={colorScaleMode} onChange={setColorScaleMode} className="w-52">
+                        {Object.entries(CLASSIFICATION_SCHEMES).map(([id, scheme]) => (
+                          <SelectItem key={id} value={id}>
+                            {scheme.label}
+                          </SelectItem>
+                        ))}
+                      </Select>
+                      {colorScaleMode === "custom" ? (
+                        <div className="w-56">
+                          <Input
+                            placeholder="Breaks, e.g. 1000, 5000, 20000"
+                            value={customBreaksText}
+                            onChange={(event) => setCustomBreaksText(event.target.value)}
+                            aria-invalid={Boolean(customBreaks.error)}
+                            aria-label="Custom class breaks"
+                            title={customBreaks.error || "Upper bounds of each class but the last"}
+                          />
+                        </div>
+                      ) : !colorScheme.continuous ? (
+                        <Select value={String(classCount)} onChange={(value) => setClassCount(Number(value))} className="w-28">
+                          {Array.from({ length: MAX_CLASSES - MIN_CLASSES + 1 }, (_, index) => MIN_CLASSES + index).map((count) => (
+                            <SelectItem key={count} value={String(count)}>
+                              {count} classes
+                            </SelectItem>
+                          ))}
+                        </Select>
+                      ) : null}
+                      <span className="text-xs text-slate-500">Palette</span>
+                      <Select
+                        value={paletteOverride.palette || ""}
+                        onChange={(value) => overridePalette({ palette: value || undefined })}
+                        className="w-56"
+                      >
+                        <SelectItem value="">Default ({PALETTES[defaultPalette].label})</SelectItem>
+                        {Object.entries(PALETTE_TYPES).map(([type, typeLabel]) => (
+                          <optgroup key={type} label={typeLabel}>
+                            {Object.entries(PALETTES)
+                              .filter(([, palette]) => palette.type === type)
+                              .map(([id, palette]) => (
+                                <SelectItem key={id} value={id}>
+                                  {palette.label}
+                                  {palette.colorblindSafe ? " (colorblind-safe)" : ""}
+                                </SelectItem>
+                              ))}
+                          </optgroup>
+                        ))}
+                      </Select>
+                      {PALETTES[colorPalette].type === "diverging" && (
+                        <label className="flex items-center gap-1 text-xs text-slate-500">
+                          Midpoint
+                          <div className="w-24">
+                            <Input
+                              key={colorMetric}
+                              type="number"
+                              defaultValue={paletteMidpoint}
+                              onChange={(event) => {
+                                const midpoint = Number(event.target.value);
+                                if (event.target.value !== "" && Number.isFinite(midpoint)) overridePalette({ midpoint });
+                              }}
+                            />
+                          </div>
+                        </label>
+                      )}
+                    </>
+                  )}
+                  <span className="text-xs text-slate-500">Fade values older than</span>
+                  <Select
+                    value={staleAfterYears == null ? "" : String(staleAfterYears)}
+                    onChange={(value) => setStaleAfterYears(value === "" ? null : Number(value))}
+                    className="w-32"
+                  >
+                    {STALE_AGE_OPTIONS.map((years) => (
+                      <SelectItem key={years} value={String(years)}>
+                        {years === 1 ? "1 year" : `${years} years`}
+                      </SelectItem>
+                    ))}
+                    <SelectItem value="">Never</SelectItem>
+                  </Select>
+                  <span className="text-xs text-slate-500">Circles</span>
+                  <Select
+                    value={symbolMetric || ""}
+                    onChange={(value) => setSymbolMetric(value || null)}
+                    className="w-52"
+                    aria-label="Proportional circles"
+                  >
+                    <SelectItem value="">None</SelectItem>
+                    {metrics
+                      .filter((metric) => findMetricConfig(metric)?.magnitude)
+                      .map((metric) => (
+                        <SelectItem key={metric} value={metric}>
+                          {labelFor(metric)}
+                        </SelectItem>
+                      ))}
+                  </Select>
+                  <span className="text-xs text-slate-500">Projection</span>
+                  <Select value={projectionId} onChange={changeProjection} className="w-44">
+                    {Object.entries(MAP_PROJECTIONS).map(([id, option]) => (
+                      <SelectItem key={id} value={id}>
+                        {option.label}
+                      </SelectItem>
+                    ))}
                   </Select>
                 </div>
               </div>
@@ -1355,13 +1797,35 @@ export default function App() {
                         </Button>
                       </div>
 
-                      {hoverName && !isDraggingMap && (
-                        <div className="absolute left-3 top-3 z-10 px-3 py-1.5 rounded-lg bg-white/95 shadow-md ring-1 ring-slate-200 text-xs font-medium text-slate-700 pointer-events-none">
-                          {hoverName}
+                      <MapTooltip
+                        store={hoverStore}
+                        rows={dataByIso3}
+                        nameOf={entityLabel}
+                        containerRef={containerRef}
+                        hidden={isDraggingMap}
+                        fields={tooltipFields}
+                        ranks={tooltipRanks}
+                        compare={tooltipCompare}
+                      />
+
+                      {selectedYear != null && (
+                        <div
+                          className="absolute left-3 top-3 z-10 px-2 py-0.5 rounded bg-white/80 text-2xl font-semibold tabular-nums text-slate-700 pointer-events-none"
+                          aria-live={playback.playing ? "off" : "polite"}
+                        >
+                          {selectedYear}
                         </div>
                       )}
 
+                      <div className="absolute left-3 bottom-3 z-10 px-2 py-0.5 rounded bg-white/80 text-[11px] text-slate-500 pointer-events-none">
+                        Borders 1:{boundaryResolution}
+                        {boundaryLoading ? ` · loading 1:${boundaryLoading}…` : ""}
+                      </div>
+
                       <ComposableMap width={mapW} height={mapH} projection={mapProjection}>
+                        <defs>
+                          <HatchPattern id={NO_DATA_PATTERN_ID} />
+                        </defs>
                         <BoundedZoomableGroup
                           zoom={zoom}
                           center={center}
@@ -1375,21 +1839,24 @@ export default function App() {
                           height={mapH}
                           projection={mapProjection}
                           constrain={constrainDragPosition}
+                          dragMode={isGlobe ? "rotate" : "pan"}
                         >
-                          <Geographies geography={worldFC?.features ?? []}>
+                          {isGlobe && <Sphere id="map-globe" fill="#F1F5F9" stroke="#CBD5E1" strokeWidth={0.6} />}
+                          <Geographies geography={mapFC?.features ?? []}>
                             {({ geographies }) => (
                               <>
                                 {geographies.map((geo) => {
-                                  const iso3 = getIso3(geo.properties);
+                                  const iso3 = getIso3(geo.properties, worldBankCodes);
                                   const row = iso3 ? dataByIso3.get(iso3) : null;
                                   const disabled = !iso3 || !countryHasData(row);
-                                  const selectedLabel = !disabled && iso3 === codeA ? "A" : !disabled && iso3 === codeB ? "B" : null;
-                                  const fillColor = disabled
-                                    ? whiteBlue(0.05)
-                                    : selectedLabel
-                                    ? MAP_SELECTION_COLORS[selectedLabel].fill
-                                    : colorFor(row?.[colorMetric]);
-                                  const selectionFilter = selectedLabel ? MAP_SELECTION_COLORS[selectedLabel].fill : null;
+                                  const selectedSlot = disabled ? null : slotByCode.get(iso3);
+                                  const valueState = valueStateFor(row);
+                                  const fillColor = selectedSlot
+                                    ? selectedSlot.fill
+                                    : valueState === "missing"
+                                    ? `url(#${NO_DATA_PATTERN_ID})`
+                                    : mapColorFor(row);
+                                  const selectionFilter = selectedSlot ? selectedSlot.fill : null;
 
                                   const baseStyles = {
                                     outline: "none",
@@ -1399,7 +1866,7 @@ export default function App() {
 
                                   const hoverFilter =
                                     !disabled && !isDraggingMap
-                                      ? selectedLabel
+                                      ? selectedSlot
                                         ? `drop-shadow(0 0 0.25rem ${selectionFilter}55) drop-shadow(0 0 0.75rem ${selectionFilter}33) brightness(0.95)`
                                         : "brightness(0.95)"
                                       : undefined;
@@ -1410,18 +1877,12 @@ export default function App() {
                                         geography={geo}
                                         onMouseEnter={() => {
                                           if (disabled || draggingRef.current || isDraggingMap) {
-                                            setHoverName("");
+                                            hoverStore.set(null);
                                             return;
                                           }
-                                          const fallbackName = getNameProp(geo.properties);
-                                          const fallbackIso2 = getIso2(geo.properties);
-                                          const display = countryWithFlag(
-                                            row?.country || fallbackName,
-                                            row?.iso2 || fallbackIso2 || null
-                                          );
-                                          setHoverName(display || fallbackName || "");
+                                          hoverStore.set(iso3);
                                         }}
-                                        onMouseLeave={() => setHoverName("")}
+                                        onMouseLeave={() => hoverStore.set(null)}
                                         onClick={() => {
                                           if (disabled || draggingRef.current || isDraggingMap || skipClickRef.current) return;
                                           setSelection(iso3);
@@ -1431,7 +1892,7 @@ export default function App() {
                                         style={{
                                           default: {
                                             ...baseStyles,
-                                            filter: selectedLabel
+                                            filter: selectedSlot
                                               ? `drop-shadow(0 0 0.25rem ${selectionFilter}66) drop-shadow(0 0 0.75rem ${selectionFilter}33)`
                                               : undefined,
                                           },
@@ -1442,13 +1903,14 @@ export default function App() {
                                           pressed: { outline: "none" },
                                         }}
                                         fill={fillColor}
+                                        fillOpacity={!selectedSlot && valueState === "stale" ? STALE_OPACITY : 1}
                                         stroke="#CBD5E1"
                                         strokeWidth={0.6}
                                       />
-                                      {selectedLabel && (
+                                      {selectedSlot && (
                                         <Geography
                                           geography={geo}
-                                          className={`map-selection-pulse ${MAP_SELECTION_COLORS[selectedLabel].pulseClass}`}
+                                          className={`map-selection-pulse ${selectedSlot.pulseClass}`}
                                           vectorEffect="non-scaling-stroke"
                                           style={{
                                             default: { pointerEvents: "none" },
@@ -1464,6 +1926,91 @@ export default function App() {
                             </>
                           )}
                         </Geographies>
+                        {markerRows.map((row) => {
+                          const iso3 = row.iso3;
+                          const coordinates = [row.__profile.longitude, row.__profile.latitude];
+                          // Points are not clipped by the projection, so skip those on the far side of the globe.
+                          if (isGlobe && geoDistance(coordinates, center) > Math.PI / 2) return null;
+                          const disabled = !countryHasData(row);
+                          const selectedSlot = disabled ? null : slotByCode.get(iso3);
+                          const valueState = valueStateFor(row);
+                          const fillColor = selectedSlot
+                            ? selectedSlot.fill
+                            : valueState === "missing"
+                            ? `url(#${NO_DATA_PATTERN_ID})`
+                            : mapColorFor(row);
+                          // Radius and stroke are divided by the zoom so markers keep their on-screen size.
+                          const radius = MARKER_RADIUS / zoom;
+                          const baseStyles = {
+                            outline: "none",
+                            cursor: disabled ? "default" : "pointer",
+                            pointerEvents: disabled || isDraggingMap ? "none" : "auto",
+                            transition: "filter 150ms ease",
+                          };
+
+                          return (
+                            <Marker
+                              key={iso3}
+                              coordinates={coordinates}
+                              onMouseEnter={() => {
+                                if (disabled || draggingRef.current || isDraggingMap) {
+                                  hoverStore.set(null);
+                                  return;
+                                }
+                                hoverStore.set(iso3);
+                              }}
+                              onMouseLeave={() => hoverStore.set(null)}
+                              onClick={() => {
+                                if (disabled || draggingRef.current || isDraggingMap || skipClickRef.current) return;
+                                setSelection(iso3);
+                              }}
+                              onKeyDown={(event) => onGeoKeyDown(event, iso3, disabled)}
+                              tabIndex={disabled ? -1 : 0}
+                              role="button"
+                              aria-label={row.country}
+                              style={{
+                                default: baseStyles,
+                                hover: { ...baseStyles, filter: !disabled && !isDraggingMap ? "brightness(0.95)" : undefined },
+                                pressed: { outline: "none" },
+                              }}
+                            >
+                              <circle
+                                r={radius}
+                                fill={fillColor}
+                                fillOpacity={!selectedSlot && valueState === "stale" ? STALE_OPACITY : 1}
+                                stroke={selectedSlot ? "#FFFFFF" : "#94A3B8"}
+                                strokeWidth={0.8 / zoom}
+                              />
+                              {selectedSlot && (
+                                <circle
+                                  r={radius}
+                                  className={`map-selection-pulse ${selectedSlot.pulseClass}`}
+                                  vectorEffect="non-scaling-stroke"
+                                />
+                              )}
+                            </Marker>
+                          );
+                        })}
+                        {symbolRows.map(({ row, value, coordinates }) => {
+                          if (isGlobe && geoDistance(coordinates, center) > Math.PI / 2) return null;
+                          const symbolStyle = { pointerEvents: "none" };
+                          // Screen-space radius, like the markers, so the size legend holds at every zoom.
+                          return (
+                            <Marker
+                              key={`symbol-${row.iso3}`}
+                              coordinates={coordinates}
+                              style={{ default: symbolStyle, hover: symbolStyle, pressed: symbolStyle }}
+                            >
+                              <circle
+                                r={symbolRadius(value, symbolMax) / zoom}
+                                fill="#334155"
+                                fillOpacity={0.3}
+                                stroke="#1E293B"
+                                strokeWidth={0.8 / zoom}
+                              />
+                            </Marker>
+                          );
+                        })}
                       </BoundedZoomableGroup>
                     </ComposableMap>
                     </>
@@ -1475,15 +2022,32 @@ export default function App() {
                 </div>
               </div>
 
-              <div className="flex items-center justify-end mt-2 text-sm text-slate-500">
-                <div>
-                  Selected: <span className="font-medium">{countryWithFlag(dataA?.country || "—", dataA?.iso2)}</span> vs {" "}
-                  <span className="font-medium">{countryWithFlag(dataB?.country || "—", dataB?.iso2)}</span>
-                </div>
+              <div className="mt-2">
+                <SelectionChips
+                  slots={selectedSlots}
+                  baseline={selection.baseline}
+                  maxSize={MAX_SELECTION}
+                  onRemove={selection.remove}
+                  onBaseline={selection.setBaseline}
+                />
               </div>
 
               <div className="mt-3" title={`Legend — ${labelFor(colorMetric)}`}>
-                {colorScaleMode === "quantile" ? (
+                {isBivariate ? (
+                  bivariateStats.x.thresholds.length && bivariateStats.y.thresholds.length ? (
+                    <BivariateLegend
+                      palette={BIVARIATE_PALETTE}
+                      xLabel={labelFor(colorMetric)}
+                      yLabel={labelFor(colorMetric2)}
+                      xThresholds={bivariateStats.x.thresholds}
+                      yThresholds={bivariateStats.y.thresholds}
+                      formatX={legendFmt}
+                      formatY={legendFmt}
+                    />
+                  ) : (
+                    <div className="text-xs text-slate-400">Not enough data to compute the bivariate legend.</div>
+                  )
+                ) : !colorScheme.continuous ? (
                   hasLegendVals ? (
                     <div className="flex flex-wrap items-center gap-4">
                       {valueStats.palette.map((color, index) => {
@@ -1508,58 +2072,132 @@ export default function App() {
                       })}
                     </div>
                   ) : (
-                    <div className="text-xs text-slate-400">Not enough data to compute quantile legend.</div>
+                    <div className="text-xs text-slate-400">
+                      {colorScaleMode === "custom" && customBreaks.error
+                        ? customBreaks.error
+                        : "Not enough data to compute the class legend."}
+                    </div>
                   )
                 ) : hasLegendVals ? (
                   <div className="flex items-center gap-2">
                     <span className="text-xs text-slate-500">{legendFmt(linearStats.min)}</span>
                     <div
                       className="h-2 w-56 rounded"
-                      style={{ background: `linear-gradient(to right, ${whiteBlue(0)}, ${whiteBlue(1)})` }}
+                      style={{ background: paletteGradient(colorPalette, { ...linearStats, midpoint: paletteMidpoint }) }}
                     />
                     <span className="text-xs text-slate-500">{legendFmt(linearStats.max)}</span>
                   </div>
                 ) : (
                   <div className="text-xs text-slate-400">Not enough data to compute linear legend.</div>
                 )}
+                <div className="flex flex-wrap items-center gap-4 mt-2">
+                  <div className="flex items-center gap-2">
+                    <svg width="24" height="12" className="rounded" aria-hidden="true">
+                      <defs>
+                        <HatchPattern id="legend-no-data" />
+                      </defs>
+                      <rect width="24" height="12" fill="url(#legend-no-data)" stroke="#CBD5E1" />
+                    </svg>
+                    <span className="text-xs text-slate-500">No data ({valueStateCounts.missing})</span>
+                  </div>
+                  {symbolMetric && symbolMax > 0 && (
+                    <SymbolLegend
+                      label={`Circle area — ${labelFor(symbolMetric)}`}
+                      values={symbolLegendValues(symbolMax)}
+                      radiusFor={(value) => symbolRadius(value, symbolMax)}
+                      format={legendFmt}
+                    />
+                  )}
+                  {staleAfterYears != null && (
+                    <div className="flex items-center gap-2">
+                      <span
+                        className="inline-block w-6 h-3 rounded"
+                        style={{
+                          backgroundColor: isBivariate ? BIVARIATE_PALETTE[1][1] : valueStats.palette.at(-1) || whiteBlue(1),
+                          opacity: STALE_OPACITY,
+                        }}
+                      />
+                      <span className="text-xs text-slate-500">
+                        {latestColorYear != null && !isBivariate
+                          ? `Data from before ${latestColorYear - staleAfterYears}`
+                          : `Older than ${staleAfterYears} years`}{" "}
+                        ({valueStateCounts.stale})
+                      </span>
+                    </div>
+                  )}
+                </div>
                 <div className="text-xs text-slate-500 mt-1">
-                  Legend — {labelFor(colorMetric)} ({colorScaleMode === "quantile" ? "quintiles" : "linear"})
+                  {isBivariate ? (
+                    <>
+                      Legend — {labelFor(colorMetric)} vs {labelFor(colorMetric2)}
+                      {selectedYear != null ? `, ${selectedYear}` : ""} (terciles{fixedBreaks ? " of all years" : ""})
+                    </>
+                  ) : (
+                    <>
+                      Legend — {labelFor(colorMetric)}
+                      {selectedYear != null ? `, ${selectedYear}` : ""} ({colorScheme.label}
+                      {!colorScheme.continuous && valueStats.palette.length ? `, ${valueStats.palette.length} classes` : ""}
+                      {fixedBreaks && yearBounds ? `, breaks from ${yearBounds[0]}–${yearBounds[1]}` : ""})
+                    </>
+                  )}
                 </div>
               </div>
 
               <div className="space-y-2 mt-4">
                 <SearchBox
-                  placeholder="Search/select a country (fills A then B, then replaces the older)"
+                  placeholder={`Search/select a country or region (up to ${MAX_SELECTION}; replaces the oldest when full)`}
                   value={filter}
                   onChange={setFilter}
                 />
+                <div className="flex flex-wrap items-center gap-2">
+                  <Select value={regionFilter} onChange={setRegionFilter} className="flex-1 min-w-[10rem]">
+                    <SelectItem value="">All regions</SelectItem>
+                    {regionOptions.map((option) => (
+                      <SelectItem key={option.id} value={option.id}>
+                        {option.name}
+                      </SelectItem>
+                    ))}
+                  </Select>
+                  <Select value={incomeFilter} onChange={setIncomeFilter} className="flex-1 min-w-[10rem]">
+                    <SelectItem value="">All income levels</SelectItem>
+                    {incomeOptions.map((option) => (
+                      <SelectItem key={option.id} value={option.id}>
+                        {option.name}
+                      </SelectItem>
+                    ))}
+                  </Select>
+                  {(regionFilter || incomeFilter) && (
+                    <span className="text-xs text-slate-500">
+                      {filtered.length} {filtered.length === 1 ? "country" : "countries"}
+                    </span>
+                  )}
+                </div>
                 <div className="max-h-56 overflow-auto rounded-xl border">
-                  {filtered.map((country) => {
-                    const selectedLabel = country.iso3 === codeA ? "A" : country.iso3 === codeB ? "B" : null;
+                  {[...filtered, ...filteredAggregates].map((country, index) => {
+                    const selectedSlot = slotByCode.get(country.iso3);
                     const baseClasses =
                       "w-full flex items-center justify-between text-left px-3 py-2 text-sm border-b last:border-0 hover:bg-slate-50";
-                    const selectionClass = selectedLabel ? MAP_SELECTION_COLORS[selectedLabel].listBgClass : "";
+                    const selectionClass = selectedSlot ? selectedSlot.listBgClass : "";
 
                     return (
-                      <button
-                        key={country.iso3}
-                        className={`${baseClasses} ${selectionClass}`}
-                        onClick={() => setSelection(country.iso3)}
-                      >
-                        <span>
-                          {countryWithFlag(country.country, country.iso2)}
-                          <span className="text-xs text-slate-500 ml-2">{country.iso3}</span>
-                        </span>
-                        {selectedLabel && (
-                          <span
-                            className={`text-[10px] px-1.5 py-0.5 rounded ring-1 ${
-                              selectedLabel ? MAP_SELECTION_COLORS[selectedLabel].chipClass : ""
-                            }`}
-                          >
-                            {selectedLabel}
-                          </span>
+                      <React.Fragment key={country.iso3}>
+                        {index === filtered.length && (
+                          <div className="sticky top-0 bg-slate-50 px-3 py-1.5 text-[11px] font-semibold uppercase tracking-wide text-slate-500 border-b">
+                            Regions &amp; groups
+                          </div>
                         )}
-                      </button>
+                        <button className={`${baseClasses} ${selectionClass}`} onClick={() => setSelection(country.iso3)}>
+                          <span>
+                            {entityLabel(country)}
+                            <span className="text-xs text-slate-500 ml-2">{country.iso3}</span>
+                          </span>
+                          {selectedSlot && (
+                            <span className={`text-[10px] px-1.5 py-0.5 rounded ring-1 ${selectedSlot.chipClass}`}>
+                              {selectedSlot.label}
+                            </span>
+                          )}
+                        </button>
+                      </React.Fragment>
                     );
                   })}
                 </div>
@@ -1572,70 +2210,86 @@ export default function App() {
             <CardContent>
               <h2 className="text-lg font-semibold mb-1">Comparison</h2>
               <div className="text-xs text-slate-500 mb-3">
-                Data from <span className="font-medium">{defaultYear ?? "—"}</span> unless otherwise specified
+                {selectedYear != null ? (
+                  <>
+                    Data for <span className="font-medium">{selectedYear}</span>
+                    {yearTolerance ? ` or the nearest year within ±${yearTolerance}` : ""}
+                  </>
+                ) : (
+                  <>
+                    Data from <span className="font-medium">{defaultYear ?? "—"}</span> unless otherwise specified
+                  </>
+                )}
               </div>
-              <div className="overflow-x-auto">
-                <table className="w-full text-sm table-fixed">
-                  <colgroup>
-                    <col className="w-[38%]" />
-                    <col className="w-[22%]" />
-                    <col className="w-[22%]" />
-                    <col className="w-[18%]" />
-                  </colgroup>
-                  <thead>
-                    <tr className="text-left text-slate-600 border-b">
-                      <th className="py-2 pr-2 text-sm font-semibold text-slate-700 tracking-wide">
-                        Metric
-                      </th>
-                      <th className="py-2 pr-2 text-sm font-semibold text-slate-700">
-                        <span
-                          className="block whitespace-normal break-words"
-                          title={countryWithFlag(dataA?.country || "—", dataA?.iso2)}
-                        >
-                          {countryWithFlag(dataA?.country || "—", dataA?.iso2)}
-                        </span>
-                      </th>
-                      <th className="py-2 pr-2 text-sm font-semibold text-slate-700">
-                        <span
-                          className="block whitespace-normal break-words"
-                          title={countryWithFlag(dataB?.country || "—", dataB?.iso2)}
-                        >
-                          {countryWithFlag(dataB?.country || "—", dataB?.iso2)}
-                        </span>
-                      </th>
-                      <th className="py-2 pl-2 text-sm font-semibold text-right text-slate-700 tracking-wide">
-                        Δ / %
-                      </th>
-                    </tr>
-                  </thead>
-                  <tbody>
-                    {metricGroups.map((group, groupIndex) => (
-                      <React.Fragment key={group.title}>
-                        <tr>
-                          <td
-                            colSpan={4}
-                            className={`${groupIndex === 0 ? "pt-3" : "pt-5"} pb-2 text-[11px] font-semibold uppercase tracking-wide text-slate-500`}
-                          >
-                            {group.title}
-                          </td>
-                        </tr>
-                        {group.metrics.map((metric) => (
-                          <StatRow
-                            key={metric.field}
-                            label={metric.label}
-                            field={metric.field}
-                            dataA={dataA}
-                            dataB={dataB}
-                            fmt={metric.fmt}
-                            diffSuffix={metric.diffSuffix}
-                            defaultYear={defaultYear}
-                          />
+              <CountryProfiles
+                slots={selectedSlots.map((slot) => ({ slot: slot.label, chipClass: slot.chipClass, row: slot.row, name: slot.name }))}
+              />
+              {selectedSlots.length ? (
+                <div className="overflow-x-auto">
+                  <table className="min-w-full text-sm">
+                    <thead>
+                      <tr className="text-left text-slate-600 border-b">
+                        <th className="sticky left-0 z-[1] bg-white min-w-[10rem] py-2 pr-2 text-sm font-semibold text-slate-700 tracking-wide">
+                          Metric
+                        </th>
+                        {selectedSlots.map((slot, index) => (
+                          <th key={slot.code} className="min-w-[8rem] py-2 px-2 text-sm font-semibold text-slate-700 align-bottom">
+                            <span className="flex items-center gap-1.5">
+                              <span className={`text-[10px] px-1.5 py-0.5 rounded ring-1 shrink-0 ${slot.chipClass}`}>
+                                {slot.label}
+                              </span>
+                              <span className="whitespace-normal break-words" title={slot.name}>
+                                {slot.name}
+                              </span>
+                            </span>
+                            {index === baselineIndex && selectedSlots.length > 1 && (
+                              <span className="block text-[10px] font-normal text-slate-500">Baseline</span>
+                            )}
+                          </th>
                         ))}
-                      </React.Fragment>
-                    ))}
-                  </tbody>
-                </table>
-              </div>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {metricGroups.map((group, groupIndex) => (
+                        <React.Fragment key={group.title}>
+                          <tr>
+                            <td
+                              colSpan={selectedSlots.length + 1}
+                              className={`${groupIndex === 0 ? "pt-3" : "pt-5"} pb-2 text-[11px] font-semibold uppercase tracking-wide text-slate-500`}
+                            >
+                              <span className="sticky left-0">{group.title}</span>
+                            </td>
+                          </tr>
+                          {group.metrics.map((metric) => (
+                            <StatRow
+                              key={metric.field}
+                              label={metric.label}
+                              field={metric.field}
+                              columns={selectedSlots.map((slot) => ({
+                                key: slot.code,
+                                row: slot.row,
+                                color: slot.fill,
+                                name: slot.name,
+                              }))}
+                              baselineIndex={baselineIndex}
+                              fmt={metric.fmt}
+                              diffSuffix={metric.diffSuffix}
+                              polarity={metric.polarity}
+                              defaultYear={defaultYear}
+                              year={selectedYear}
+                              info={metricInfoFor(metric.field)}
+                            />
+                          ))}
+                        </React.Fragment>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              ) : (
+                <p className="py-6 text-center text-sm text-slate-400">
+                  Select countries on the map or in the list to compare them.
+                </p>
+              )}
               <div className="mt-4 text-xs text-slate-500 space-y-1">
                 <p>
                   Source: World Bank Open Data (most recent non-null year within the last ~10 reported years per indicator). Some
@@ -1643,14 +2297,39 @@ export default function App() {
                   appear next to values; amber means older than the freshest year available for that metric.
                 </p>
                 <p>
-                  Tip: Use <span className="font-medium">Swap</span> to flip A/B. <span className="font-medium">Clear</span> resets both
-                  selections.
+                  Differences are measured from the baseline country (starred). ▲ and ▼ mark the highest and lowest value in each row:
+                  green is better and red worse where an indicator has a better direction, gray where it has none.
+                  Click a row to expand its trend chart.{" "}
+                  <span className="font-medium">Clear</span> removes all selections.
                 </p>
               </div>
             </CardContent>
           </Card>
         </section>
+
+        <DiagnosticsPanel report={codeReport} />
       </div>
+
+      <AddIndicatorDialog
+        open={addIndicatorOpen}
+        onClose={closeAddIndicator}
+        provider={dataProvider}
+        catalogCodes={catalogCodes}
+        customMetrics={customIndicators.metrics}
+        indicatorStatus={indicatorStatus}
+        onAdd={customIndicators.addIndicator}
+        onRemove={handleRemoveIndicator}
+      />
+
+      <DerivedMetricDialog
+        open={derivedDialogOpen}
+        onClose={closeDerivedDialog}
+        metrics={METRICS}
+        userMetrics={derived.own}
+        previewRow={selectedSlots[0]?.row || activeRows.find((row) => row.iso3 === "USA") || activeRows[0]}
+        onSave={userDerived.saveDerivedMetric}
+        onRemove={userDerived.removeDerivedMetric}
+      />
     </div>
   );
 }
\ No newline at end of file
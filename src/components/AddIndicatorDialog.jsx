@@ -0,0 +1,201 @@
+import React, { useEffect, useRef, useState } from "react";
+import { Plus, Search, Trash2, X } from "lucide-react";
+
+import { Button, Card, CardContent, Input } from "./ui";
+
+const SEARCH_DELAY_MS = 300;
+
+/**
+ * Modal dialog for adding World Bank indicators beyond the built-in catalog.
+ * Searches through `provider.searchIndicators` (the `/v2/indicator` catalog),
+ * so it works against the mock API or fixture provider as well.
+ */
+export const AddIndicatorDialog = ({
+  open,
+  onClose,
+  provider,
+  catalogCodes,
+  customMetrics,
+  indicatorStatus,
+  onAdd,
+  onRemove,
+}) => {
+  const [query, setQuery] = useState("");
+  const [results, setResults] = useState([]);
+  const [searching, setSearching] = useState(false);
+  const [searchError, setSearchError] = useState("");
+  const inputRef = useRef(null);
+
+  useEffect(() => {
+    if (!open) return undefined;
+
+    inputRef.current?.focus();
+    const onKeyDown = (event) => {
+      if (event.key === "Escape") onClose();
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [open, onClose]);
+
+  useEffect(() => {
+    const term = query.trim();
+    if (!open || term.length < 2) {
+      setResults([]);
+      setSearching(false);
+      setSearchError("");
+      return undefined;
+    }
+
+    const controller = new AbortController();
+    setSearching(true);
+    const timer = setTimeout(() => {
+      provider
+        .searchIndicators(term, { signal: controller.signal })
+        .then((matches) => {
+          setResults(matches);
+          setSearchError("");
+        })
+        .catch((error) => {
+          if (controller.signal.aborted) return;
+          setResults([]);
+          setSearchError(error?.message || "Indicator search failed");
+        })
+        .finally(() => {
+          if (!controller.signal.aborted) setSearching(false);
+        });
+    }, SEARCH_DELAY_MS);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [open, provider, query]);
+
+  if (!open) return null;
+
+  const customCodes = new Set(customMetrics.map((metric) => metric.code));
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-start sm:items-center justify-center bg-slate-900/40 p-4"
+      onMouseDown={(event) => {
+        if (event.target === event.currentTarget) onClose();
+      }}
+    >
+      <div role="dialog" aria-modal="true" aria-labelledby="add-indicator-title" className="w-full max-w-2xl">
+        <Card className="shadow-xl">
+          <CardContent className="flex flex-col gap-3 max-h-[85vh]">
+            <div className="flex items-center justify-between gap-2">
+              <h2 id="add-indicator-title" className="text-lg font-semibold">
+                Add indicator
+              </h2>
+              <button
+                type="button"
+                className="rounded-lg p-1 text-slate-500 hover:bg-slate-100"
+                onClick={onClose}
+                aria-label="Close"
+              >
+                <X className="h-5 w-5" />
+              </button>
+            </div>
+
+            <div className="relative w-full">
+              <Search className="absolute left-2 top-1/2 -translate-y-1/2 h-4 w-4 text-slate-500" />
+              <Input
+                ref={inputRef}
+                className="pl-8"
+                placeholder="Search World Bank indicators by name or code (e.g. CO2, SE.PRM.ENRR)"
+                value={query}
+                onChange={(event) => setQuery(event.target.value)}
+              />
+            </div>
+
+            <div className="min-h-[8rem] overflow-auto rounded-xl border" aria-live="polite" aria-busy={searching}>
+              {searching ? (
+                <p className="p-3 text-sm text-slate-500">Searching…</p>
+              ) : searchError ? (
+                <p className="p-3 text-sm text-rose-600">{searchError}</p>
+              ) : query.trim().length < 2 ? (
+                <p className="p-3 text-sm text-slate-500">Type at least two characters to search.</p>
+              ) : !results.length ? (
+                <p className="p-3 text-sm text-slate-500">No indicators match “{query.trim()}”.</p>
+              ) : (
+                <ul>
+                  {results.map((indicator) => {
+                    const inCatalog = catalogCodes.has(indicator.code);
+                    const added = customCodes.has(indicator.code);
+                    return (
+                      <li
+                        key={indicator.code}
+                        className="flex items-start justify-between gap-3 px-3 py-2 text-sm border-b last:border-0"
+                      >
+                        <div className="min-w-0">
+                          <div className="font-medium text-slate-800">{indicator.name}</div>
+                          <div className="text-xs text-slate-500">
+                            {indicator.code}
+                            {indicator.source ? ` · ${indicator.source}` : ""}
+                            {indicator.topics?.length ? ` · ${indicator.topics.join(", ")}` : ""}
+                          </div>
+                        </div>
+                        <Button
+                          variant="outline"
+                          className="shrink-0 !py-1"
+                          disabled={inCatalog || added}
+                          onClick={() => onAdd(indicator)}
+                        >
+                          {inCatalog ? "Built in" : added ? "Added" : (
+                            <>
+                              <Plus className="h-4 w-4" />
+                              Add
+                            </>
+                          )}
+                        </Button>
+                      </li>
+                    );
+                  })}
+                </ul>
+              )}
+            </div>
+
+            {customMetrics.length > 0 && (
+              <div>
+                <h3 className="text-xs font-semibold uppercase tracking-wide text-slate-500 mb-1">Your indicators</h3>
+                <ul className="rounded-xl border">
+                  {customMetrics.map((metric) => {
+                    const state = indicatorStatus[metric.field];
+                    return (
+                      <li
+                        key={metric.field}
+                        className="flex items-center justify-between gap-3 px-3 py-2 text-sm border-b last:border-0"
+                      >
+                        <div className="min-w-0">
+                          <div className="text-slate-800">{metric.label}</div>
+                          <div className="text-xs text-slate-500">
+                            {metric.code}
+                            {state?.status === "loading" ? " · loading…" : ""}
+                            {state?.status === "error" ? ` · failed: ${state.error}` : ""}
+                          </div>
+                        </div>
+                        <button
+                          type="button"
+                          className="rounded-lg p-1 text-slate-500 hover:bg-rose-50 hover:text-rose-600"
+                          onClick={() => onRemove(metric.field)}
+                          aria-label={`Remove ${metric.label}`}
+                          title="Remove"
+                        >
+                          <Trash2 className="h-4 w-4" />
+                        </button>
+                      </li>
+                    );
+                  })}
+                </ul>
+              </div>
+            )}
+          </CardContent>
+        </Card>
+      </div>
+    </div>
+  );
+};
+
+export default AddIndicatorDialog;
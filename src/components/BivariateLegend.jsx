@@ -0,0 +1,52 @@
+import React from "react";
+
+const CELL = 22;
+
+/**
+ * Square legend for the bivariate map: `palette[y][x]` drawn with the first
+ * metric along the bottom and the second up the side, each axis labelled
+ * with its tercile breaks at the cell boundaries.
+ */
+export const BivariateLegend = ({ palette, xLabel, yLabel, xThresholds, yThresholds, formatX, formatY }) => {
+  const size = palette.length;
+  const side = CELL * size;
+
+  return (
+    <div className="inline-flex flex-col gap-1">
+      <div className="text-[11px] text-slate-600">↑ {yLabel}</div>
+      <div className="flex gap-1">
+        <div className="relative w-12 text-right text-[10px] text-slate-500" style={{ height: side }}>
+          {yThresholds.map((value, index) => (
+            <span key={index} className="absolute right-0 -translate-y-1/2" style={{ top: side - CELL * (index + 1) }}>
+              {formatY(value)}
+            </span>
+          ))}
+        </div>
+        <div>
+          <div
+            className="grid rounded overflow-hidden ring-1 ring-slate-200"
+            style={{ gridTemplateColumns: `repeat(${size}, ${CELL}px)` }}
+            role="img"
+            aria-label={`Bivariate legend: ${xLabel} left to right against ${yLabel} bottom to top, low to high`}
+          >
+            {[...palette].reverse().flatMap((row, rowIndex) =>
+              row.map((color, columnIndex) => (
+                <span key={`${rowIndex}-${columnIndex}`} style={{ backgroundColor: color, height: CELL }} />
+              ))
+            )}
+          </div>
+          <div className="relative h-4 text-[10px] text-slate-500" style={{ width: side }}>
+            {xThresholds.map((value, index) => (
+              <span key={index} className="absolute -translate-x-1/2" style={{ left: CELL * (index + 1) }}>
+                {formatX(value)}
+              </span>
+            ))}
+          </div>
+        </div>
+      </div>
+      <div className="pl-[3.25rem] text-[11px] text-slate-600">{xLabel} →</div>
+    </div>
+  );
+};
+
+export default BivariateLegend;
@@ -0,0 +1,63 @@
+import React from "react";
+
+const formatCoordinates = (latitude, longitude) => {
+  if (latitude == null || longitude == null) return null;
+  const lat = `${Math.abs(latitude).toFixed(2)}° ${latitude >= 0 ? "N" : "S"}`;
+  const lon = `${Math.abs(longitude).toFixed(2)}° ${longitude >= 0 ? "E" : "W"}`;
+  return `${lat}, ${lon}`;
+};
+
+const ProfileField = ({ label, children }) =>
+  children ? (
+    <div className="flex gap-2 min-w-0">
+      <dt className="w-20 shrink-0 text-slate-500">{label}</dt>
+      <dd className="min-w-0 break-words text-slate-800">{children}</dd>
+    </div>
+  ) : null;
+
+/** One selection's profile (World Bank classification, capital, coordinates). */
+const ProfileCard = ({ slot, chipClass, row, name }) => {
+  const profile = row?.__profile;
+
+  return (
+    <div className="min-w-0 rounded-xl border px-3 py-2">
+      <div className="flex items-center gap-2 mb-1.5 min-w-0">
+        <span className={`text-[10px] px-1.5 py-0.5 rounded ring-1 shrink-0 ${chipClass}`}>{slot}</span>
+        <span className="font-medium text-sm truncate" title={name}>
+          {name}
+        </span>
+      </div>
+      {!row ? (
+        <p className="text-xs text-slate-400">Nothing selected.</p>
+      ) : row.aggregate ? (
+        <p className="text-xs text-slate-500">World Bank aggregate ({row.iso3}) — figures combine its member economies.</p>
+      ) : profile ? (
+        <dl className="space-y-0.5 text-xs">
+          <ProfileField label="Region">{profile.region?.name}</ProfileField>
+          <ProfileField label="Income">{profile.incomeLevel?.name}</ProfileField>
+          <ProfileField label="Lending">{profile.lendingType?.name}</ProfileField>
+          <ProfileField label="Capital">{profile.capitalCity}</ProfileField>
+          <ProfileField label="Location">{formatCoordinates(profile.latitude, profile.longitude)}</ProfileField>
+        </dl>
+      ) : (
+        <p className="text-xs text-slate-400">No World Bank classification for this territory.</p>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Header block above the comparison table: region, income level, lending
+ * type, capital and coordinates for each selected country.
+ *
+ * `slots` is `[{ slot, chipClass, row, name }]`.
+ */
+export const CountryProfiles = ({ slots }) => (
+  <div className="grid grid-cols-1 sm:grid-cols-2 gap-2 mb-3 max-h-72 overflow-y-auto">
+    {slots.map((entry) => (
+      <ProfileCard key={entry.slot} {...entry} />
+    ))}
+  </div>
+);
+
+export default CountryProfiles;
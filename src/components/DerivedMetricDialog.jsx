@@ -0,0 +1,207 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { Trash2, X } from "lucide-react";
+
+import { Button, Card, CardContent, Input, Select, SelectItem } from "./ui";
+import { DERIVED_CATEGORY, compileDerivedMetrics, derivedFieldFor, evaluateDerived } from "../data/derivedMetrics";
+import { FORMULA_FUNCTIONS } from "../lib/formula";
+
+const FORMAT_OPTIONS = {
+  number: { label: "Number", format: { type: "number", compact: false, digits: 2 } },
+  compact: { label: "Large number (1.2M)", format: { type: "number", compact: true } },
+  percent: { label: "Percent", format: { type: "percent", digits: 1 } },
+  currency: { label: "US$", format: { type: "currency", compact: true } },
+};
+
+/**
+ * Modal dialog for defining formula metrics over existing fields, e.g.
+ * `gdp_nominal_usd / area_km2`.  The draft is compiled with the same code
+ * path as saved metrics, so the inline error and preview match what the
+ * table and map will show.
+ */
+export const DerivedMetricDialog = ({ open, onClose, metrics, userMetrics, previewRow, onSave, onRemove }) => {
+  const [label, setLabel] = useState("");
+  const [formula, setFormula] = useState("");
+  const [formatKey, setFormatKey] = useState("number");
+
+  useEffect(() => {
+    if (!open) return undefined;
+
+    const onKeyDown = (event) => {
+      if (event.key === "Escape") onClose();
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [open, onClose]);
+
+  const userFields = useMemo(() => new Set(userMetrics.map((metric) => metric.field)), [userMetrics]);
+  const field = derivedFieldFor(label);
+
+  const draft = useMemo(() => {
+    if (!label.trim() || !formula.trim()) return { metric: null, error: "" };
+    if (metrics.some((metric) => metric.field === field && !userFields.has(field))) {
+      return { metric: null, error: "That name is already used by another metric." };
+    }
+
+    const entry = {
+      field,
+      label: label.trim(),
+      category: DERIVED_CATEGORY,
+      formula: formula.trim(),
+      alwaysInclude: true,
+      format: FORMAT_OPTIONS[formatKey].format,
+    };
+    const known = metrics.filter((metric) => metric.field !== field).map((metric) => metric.field);
+    const { metrics: compiled, issues } = compileDerivedMetrics([entry], known);
+    return compiled.length ? { entry, metric: compiled[0], error: "" } : { metric: null, error: issues[0]?.message || "" };
+  }, [field, formatKey, formula, label, metrics, userFields]);
+
+  const preview = draft.metric && previewRow ? evaluateDerived(previewRow, draft.metric) : null;
+
+  if (!open) return null;
+
+  const save = () => {
+    if (!draft.entry) return;
+    onSave(draft.entry);
+    setLabel("");
+    setFormula("");
+  };
+
+  const edit = (metric) => {
+    setLabel(metric.label);
+    setFormula(metric.formula);
+    const match = Object.entries(FORMAT_OPTIONS).find(
+      ([, option]) => JSON.stringify(option.format) === JSON.stringify(metric.format)
+    );
+    setFormatKey(match ? match[0] : "number");
+  };
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-start sm:items-center justify-center bg-slate-900/40 p-4"
+      onMouseDown={(event) => {
+        if (event.target === event.currentTarget) onClose();
+      }}
+    >
+      <div role="dialog" aria-modal="true" aria-labelledby="derived-metric-title" className="w-full max-w-2xl">
+        <Card className="shadow-xl">
+          <CardContent className="flex flex-col gap-3 max-h-[85vh] overflow-auto">
+            <div className="flex items-center justify-between gap-2">
+              <h2 id="derived-metric-title" className="text-lg font-semibold">
+                Derived metric
+              </h2>
+              <button
+                type="button"
+                className="rounded-lg p-1 text-slate-500 hover:bg-slate-100"
+                onClick={onClose}
+                aria-label="Close"
+              >
+                <X className="h-5 w-5" />
+              </button>
+            </div>
+
+            <label className="flex flex-col gap-1 text-sm">
+              <span className="text-slate-600">Name</span>
+              <Input placeholder="e.g. GDP per km²" value={label} onChange={(event) => setLabel(event.target.value)} />
+            </label>
+
+            <label className="flex flex-col gap-1 text-sm">
+              <span className="text-slate-600">Formula</span>
+              <Input
+                className="font-mono"
+                placeholder="e.g. gdp_nominal_usd / area_km2"
+                value={formula}
+                onChange={(event) => setFormula(event.target.value)}
+                spellCheck={false}
+                aria-invalid={Boolean(draft.error)}
+              />
+            </label>
+            <p className="text-xs text-slate-500">
+              Combine metric fields with <code>+ - * / ^</code>, parentheses and {FORMULA_FUNCTIONS.map((name) => `${name}()`).join(", ")}.
+              Values are computed per year where every field has data.
+            </p>
+
+            <div className="flex flex-wrap items-center gap-2 text-sm">
+              <span className="text-slate-600">Format</span>
+              <Select value={formatKey} onChange={setFormatKey}>
+                {Object.entries(FORMAT_OPTIONS).map(([key, option]) => (
+                  <SelectItem key={key} value={key}>
+                    {option.label}
+                  </SelectItem>
+                ))}
+              </Select>
+              {userFields.has(field) && <span className="text-xs text-amber-700">Saving replaces “{label.trim()}”.</span>}
+            </div>
+
+            {draft.error ? (
+              <p className="text-xs text-rose-600" role="alert">
+                {draft.error}
+              </p>
+            ) : draft.metric && previewRow ? (
+              <p className="text-xs text-slate-600">
+                Preview for {previewRow.country}:{" "}
+                <span className="font-medium">
+                  {preview?.year != null ? `${draft.metric.fmt(preview.latest)} (${preview.year})` : "no data"}
+                </span>
+              </p>
+            ) : null}
+
+            <div className="flex justify-end">
+              <Button onClick={save} disabled={!draft.metric}>
+                Save metric
+              </Button>
+            </div>
+
+            <details className="text-xs">
+              <summary className="cursor-pointer text-slate-600">Available fields</summary>
+              <div className="mt-2 flex flex-wrap gap-1">
+                {metrics
+                  .filter((metric) => metric.field !== field)
+                  .map((metric) => (
+                    <button
+                      key={metric.field}
+                      type="button"
+                      className="rounded bg-slate-100 px-1.5 py-0.5 font-mono text-slate-700 hover:bg-slate-200"
+                      title={metric.label}
+                      onClick={() => setFormula((current) => `${current}${current && !/[\s(]$/.test(current) ? " " : ""}${metric.field}`)}
+                    >
+                      {metric.field}
+                    </button>
+                  ))}
+              </div>
+            </details>
+
+            {userMetrics.length > 0 && (
+              <div>
+                <h3 className="text-xs font-semibold uppercase tracking-wide text-slate-500 mb-1">Your derived metrics</h3>
+                <ul className="rounded-xl border">
+                  {userMetrics.map((metric) => (
+                    <li
+                      key={metric.field}
+                      className="flex items-center justify-between gap-3 px-3 py-2 text-sm border-b last:border-0"
+                    >
+                      <button type="button" className="min-w-0 text-left" onClick={() => edit(metric)} title="Edit">
+                        <div className="text-slate-800">{metric.label}</div>
+                        <div className="text-xs font-mono text-slate-500 truncate">{metric.formula}</div>
+                      </button>
+                      <button
+                        type="button"
+                        className="rounded-lg p-1 text-slate-500 hover:bg-rose-50 hover:text-rose-600"
+                        onClick={() => onRemove(metric.field)}
+                        aria-label={`Remove ${metric.label}`}
+                        title="Remove"
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </CardContent>
+        </Card>
+      </div>
+    </div>
+  );
+};
+
+export default DerivedMetricDialog;
@@ -0,0 +1,70 @@
+import React from "react";
+
+/**
+ * Developer diagnostics: how boundary shapes were matched to World Bank
+ * economies and which ones are left over.  Rendered in development builds
+ * or when the URL carries `?debug`.
+ */
+export const DiagnosticsPanel = ({ report }) => {
+  if (!report) return null;
+
+  const { matchedCount, byProperty, unmatchedShapes, unmatchedEntities } = report;
+  const properties = Object.entries(byProperty).sort((a, b) => b[1] - a[1]);
+
+  return (
+    <details className="mt-6 rounded-xl border border-dashed border-slate-300 px-3 py-2 text-xs text-slate-600">
+      <summary className="cursor-pointer font-medium text-slate-700">
+        Developer diagnostics — code crosswalk: {matchedCount} matched, {unmatchedShapes.length} unmatched shape
+        {unmatchedShapes.length === 1 ? "" : "s"}, {unmatchedEntities.length} economies without a shape
+      </summary>
+
+      <div className="mt-2 grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div>
+          <h3 className="font-semibold text-slate-700 mb-1">Matched by property</h3>
+          <ul className="space-y-0.5">
+            {properties.map(([property, count]) => (
+              <li key={property}>
+                <code>{property}</code>: {count}
+              </li>
+            ))}
+          </ul>
+        </div>
+
+        <div>
+          <h3 className="font-semibold text-slate-700 mb-1">Shapes with no World Bank economy</h3>
+          {unmatchedShapes.length ? (
+            <ul className="space-y-0.5">
+              {unmatchedShapes.map((shape, index) => (
+                <li key={`${shape.name}-${index}`}>
+                  {shape.name}{" "}
+                  <span className="text-slate-400">
+                    {shape.candidates.length ? shape.candidates.join(", ") : "no usable code"}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="text-slate-400">None.</p>
+          )}
+        </div>
+
+        <div>
+          <h3 className="font-semibold text-slate-700 mb-1">World Bank economies with no shape</h3>
+          {unmatchedEntities.length ? (
+            <ul className="space-y-0.5 max-h-64 overflow-auto">
+              {unmatchedEntities.map((entity) => (
+                <li key={entity.iso3}>
+                  {entity.country} <span className="text-slate-400">{entity.iso3}</span>
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="text-slate-400">None.</p>
+          )}
+        </div>
+      </div>
+    </details>
+  );
+};
+
+export default DiagnosticsPanel;
@@ -0,0 +1,112 @@
+import React, { useEffect, useRef } from "react";
+import { numberFmt, smallNumberFmt } from "../lib/formatters";
+import { useMapHover } from "../hooks/useMapHover";
+
+// Gap (px) between the cursor and the tooltip's top-left corner.
+const CURSOR_OFFSET = 14;
+
+const isNumber = (value) => typeof value === "number" && !Number.isNaN(value);
+
+const signedDiff = (diff, suffix) => {
+  const abs = Math.abs(diff);
+  const sign = diff > 0 ? "+" : diff < 0 ? "−" : "±";
+  return `${sign}${abs >= 1000 ? numberFmt(abs) : smallNumberFmt(abs, 1)}${suffix}`;
+};
+
+// Judged metrics rank best first; neutral ones only by size, so say which way.
+const rankLabel = (rank, { count, polarity }) =>
+  polarity === "neutral" ? `${rank} of ${count} by value, highest first` : `Rank ${rank} of ${count}`;
+
+/**
+ * Cursor-following tooltip for the map.  Reads the hovered ISO-3 code from
+ * the hover store and looks its row up in the current `rows` map (so the
+ * values follow year changes and playback while the pointer rests), names it
+ * with `nameOf(row)`, and positions itself from the container's mouse events by
+ * writing `transform` directly, so pointer movement causes no React renders.
+ *
+ * `fields` are `{ field, label, fmt, diffSuffix }` for each mapped metric;
+ * `ranks[field]` is `{ byIso3, count, polarity }`; `compare` lists every
+ * selected country (`{ label, row }`, labelled by slot) the first field is
+ * compared against, skipping the hovered one.
+ */
+export const MapTooltip = ({ store, rows, nameOf, containerRef, hidden, fields, ranks, compare }) => {
+  const hovered = useMapHover(store);
+  const tooltipRef = useRef(null);
+  const pointerRef = useRef(null);
+
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container) return undefined;
+
+    const place = () => {
+      const tooltip = tooltipRef.current;
+      const pointer = pointerRef.current;
+      if (!tooltip || !pointer) return;
+      const maxX = container.clientWidth - tooltip.offsetWidth - 4;
+      const maxY = container.clientHeight - tooltip.offsetHeight - 4;
+      // Flip to the other side of the cursor near the right and bottom edges, then clamp.
+      let x = pointer.x + CURSOR_OFFSET;
+      let y = pointer.y + CURSOR_OFFSET;
+      if (x > maxX) x = pointer.x - CURSOR_OFFSET - tooltip.offsetWidth;
+      if (y > maxY) y = pointer.y - CURSOR_OFFSET - tooltip.offsetHeight;
+      tooltip.style.transform = `translate(${Math.max(4, Math.min(x, maxX))}px, ${Math.max(4, Math.min(y, maxY))}px)`;
+    };
+
+    const onMove = (event) => {
+      const rect = container.getBoundingClientRect();
+      pointerRef.current = { x: event.clientX - rect.left, y: event.clientY - rect.top };
+      place();
+    };
+
+    container.addEventListener("mousemove", onMove);
+    place();
+    return () => container.removeEventListener("mousemove", onMove);
+  }, [containerRef, hovered]);
+
+  const row = hovered ? rows.get(hovered) : null;
+  if (!row || hidden) return null;
+  const name = nameOf(row);
+
+  return (
+    <div
+      ref={tooltipRef}
+      role="tooltip"
+      className="absolute left-0 top-0 z-20 max-w-xs px-3 py-2 rounded-lg bg-white/95 shadow-md ring-1 ring-slate-200 text-xs text-slate-600 pointer-events-none"
+    >
+      <div className="font-medium text-slate-800">{name}</div>
+      {row &&
+        fields.map(({ field, label, fmt, diffSuffix }, index) => {
+          const value = row[field];
+          const year = row.__years?.[field];
+          const rank = ranks[field]?.byIso3.get(row.iso3);
+
+          return (
+            <div key={field} className="mt-1">
+              <div className="flex items-baseline justify-between gap-3">
+                <span className="truncate">{label}</span>
+                <span className="font-medium text-slate-800 tabular-nums">{isNumber(value) ? fmt(value) : "No data"}</span>
+              </div>
+              {isNumber(value) && (
+                <div className="text-[11px] text-slate-500">
+                  {rank ? rankLabel(rank, ranks[field]) : null}
+                  {rank && year != null ? " · " : null}
+                  {year != null ? year : null}
+                </div>
+              )}
+              {index === 0 &&
+                isNumber(value) &&
+                compare
+                  .filter((entry) => entry.row && entry.row.iso3 !== row.iso3 && isNumber(entry.row[field]))
+                  .map((entry) => (
+                    <div key={entry.label} className="text-[11px] text-slate-500 tabular-nums">
+                      {signedDiff(value - entry.row[field], diffSuffix)} vs {entry.label} ({entry.row.country})
+                    </div>
+                  ))}
+            </div>
+          );
+        })}
+    </div>
+  );
+};
+
+export default MapTooltip;
@@ -0,0 +1,197 @@
+import React, { useEffect, useId, useRef, useState } from "react";
+import { Copy, Info } from "lucide-react";
+
+import { fmtTime } from "../lib/formatters";
+
+const POPOVER_WIDTH = 320;
+const VIEWPORT_MARGIN = 8;
+
+const indicatorUrl = (code) => `https://data.worldbank.org/indicator/${encodeURIComponent(code)}`;
+
+/** Plain-text citation for a World Bank indicator, in the form the World Bank suggests. */
+const citationFor = (metadata, accessed) =>
+  `World Bank, ${metadata.source || "World Development Indicators"}. “${metadata.name}” (${metadata.code}). ` +
+  `${indicatorUrl(metadata.code)}` +
+  (accessed ? `, retrieved ${new Date(accessed).toISOString().slice(0, 10)}.` : ".");
+
+const SourceDetails = ({ metadata, accessed }) => {
+  const [copied, setCopied] = useState(false);
+  const citation = citationFor(metadata, accessed);
+
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(citation);
+      setCopied(true);
+    } catch {
+      setCopied(false);
+    }
+  };
+
+  return (
+    <>
+      <p className="font-medium text-slate-800">{metadata.name}</p>
+      <p className="text-slate-500">
+        <a className="underline hover:text-slate-700" href={indicatorUrl(metadata.code)} target="_blank" rel="noreferrer">
+          {metadata.code}
+        </a>
+        {metadata.unit ? ` · Unit: ${metadata.unit}` : ""}
+      </p>
+      {metadata.sourceNote && <p className="whitespace-pre-line">{metadata.sourceNote}</p>}
+      {metadata.sourceOrganization && (
+        <p>
+          <span className="font-medium text-slate-700">Source: </span>
+          {metadata.sourceOrganization}
+        </p>
+      )}
+      <div className="rounded-lg bg-slate-50 p-2 text-slate-600">
+        <div className="flex items-center justify-between gap-2 mb-1">
+          <span className="font-medium text-slate-700">Cite as</span>
+          <button
+            type="button"
+            className="inline-flex items-center gap-1 rounded px-1 text-slate-500 hover:bg-slate-200"
+            onClick={copy}
+          >
+            <Copy className="h-3 w-3" />
+            {copied ? "Copied" : "Copy"}
+          </button>
+        </div>
+        <p className="select-all">{citation}</p>
+      </div>
+    </>
+  );
+};
+
+/**
+ * Info button that opens a popover describing a metric: the World Bank
+ * definition, unit, source organization and a citation (accessed date =
+ * when the data was fetched).  Derived metrics list their formula and inputs.
+ *
+ * `metadata` is the indicator metadata for `metric.code`; `inputs` holds
+ * `{ metric, metadata }` for each field a derived metric references.
+ */
+export const MetricInfo = ({ metric, metadata, inputs = [], accessed, className = "" }) => {
+  const [position, setPosition] = useState(null);
+  const buttonRef = useRef(null);
+  const popoverRef = useRef(null);
+  const id = useId();
+  const open = position != null;
+
+  useEffect(() => {
+    if (!open) return undefined;
+
+    const close = () => setPosition(null);
+    const onPointerDown = (event) => {
+      if (popoverRef.current?.contains(event.target) || buttonRef.current?.contains(event.target)) return;
+      close();
+    };
+    const onKeyDown = (event) => {
+      if (event.key === "Escape") {
+        close();
+        buttonRef.current?.focus();
+      }
+    };
+
+    document.addEventListener("mousedown", onPointerDown);
+    document.addEventListener("keydown", onKeyDown);
+    window.addEventListener("resize", close);
+    window.addEventListener("scroll", close, true);
+    return () => {
+      document.removeEventListener("mousedown", onPointerDown);
+      document.removeEventListener("keydown", onKeyDown);
+      window.removeEventListener("resize", close);
+      window.removeEventListener("scroll", close, true);
+    };
+  }, [open]);
+
+  if (!metric) return null;
+
+  const toggle = () => {
+    if (open) {
+      setPosition(null);
+      return;
+    }
+    // Fixed positioning keeps the popover clear of the table's overflow clipping.
+    const rect = buttonRef.current.getBoundingClientRect();
+    const left = Math.min(
+      Math.max(VIEWPORT_MARGIN, rect.left - POPOVER_WIDTH / 2),
+      window.innerWidth - POPOVER_WIDTH - VIEWPORT_MARGIN
+    );
+    const below = rect.bottom + 6;
+    setPosition(
+      below > window.innerHeight * 0.6
+        ? { left, bottom: window.innerHeight - rect.top + 6 }
+        : { left, top: below }
+    );
+  };
+
+  return (
+    <>
+      <button
+        ref={buttonRef}
+        type="button"
+        className={`inline-flex shrink-0 items-center rounded text-slate-400 hover:text-slate-700 focus:outline-none focus:ring-2 focus:ring-slate-300 ${className}`}
+        onClick={toggle}
+        aria-label={`About ${metric.label}`}
+        aria-expanded={open}
+        aria-controls={open ? id : undefined}
+      >
+        <Info className="h-3.5 w-3.5" />
+      </button>
+
+      {open && (
+        <div
+          ref={popoverRef}
+          id={id}
+          role="dialog"
+          aria-label={`About ${metric.label}`}
+          className="fixed z-40 max-h-[60vh] overflow-auto rounded-xl border bg-white p-3 text-xs text-slate-600 shadow-lg space-y-2 text-left font-normal normal-case tracking-normal"
+          style={{ width: POPOVER_WIDTH, ...position }}
+        >
+          {metric.derived ? (
+            <>
+              <p className="font-medium text-slate-800">{metric.label}</p>
+              <p>
+                Derived metric: <code className="font-mono text-slate-700">{metric.formula}</code>, computed for each year in which
+                every input has data.
+              </p>
+              {inputs.map((input) => (
+                <div key={input.metric.field} className="border-t pt-2 space-y-1">
+                  <p className="font-medium text-slate-700">
+                    {input.metric.field}: {input.metric.label}
+                  </p>
+                  {input.metadata ? (
+                    <>
+                      <p className="text-slate-500">
+                        {input.metadata.code}
+                        {input.metadata.unit ? ` · Unit: ${input.metadata.unit}` : ""}
+                      </p>
+                      {input.metadata.sourceOrganization && <p>Source: {input.metadata.sourceOrganization}</p>}
+                    </>
+                  ) : input.metric.code ? (
+                    <p className="text-slate-500">{input.metric.code}</p>
+                  ) : null}
+                </div>
+              ))}
+            </>
+          ) : metadata ? (
+            <SourceDetails metadata={metadata} accessed={accessed} />
+          ) : (
+            <>
+              <p className="font-medium text-slate-800">{metric.label}</p>
+              <p className="text-slate-500">
+                World Bank indicator{" "}
+                <a className="underline hover:text-slate-700" href={indicatorUrl(metric.code)} target="_blank" rel="noreferrer">
+                  {metric.code}
+                </a>
+                . Its definition and source have not been loaded yet.
+              </p>
+            </>
+          )}
+          {accessed && <p className="text-[11px] text-slate-400">Data retrieved {fmtTime(accessed)}.</p>}
+        </div>
+      )}
+    </>
+  );
+};
+
+export default MetricInfo;
@@ -0,0 +1,49 @@
+import React from "react";
+import { Star, X } from "lucide-react";
+
+/**
+ * Removable chips for the selected countries, in slot order.  The star marks
+ * the baseline that differences are measured from; clicking another chip's
+ * star makes that country the baseline.
+ *
+ * `slots` is `[{ code, label, chipClass, name }]`.
+ */
+export const SelectionChips = ({ slots, baseline, maxSize, onRemove, onBaseline }) => (
+  <div className="flex flex-wrap items-center gap-2">
+    {slots.map(({ code, label, chipClass, name }) => {
+      const isBaseline = code === baseline;
+      return (
+        <span key={code} className={`inline-flex items-center gap-1 rounded-full pl-1 pr-1.5 py-0.5 ring-1 text-xs ${chipClass}`}>
+          <button
+            type="button"
+            onClick={() => onBaseline(code)}
+            className="rounded-full p-0.5 hover:bg-white/60"
+            aria-pressed={isBaseline}
+            title={isBaseline ? "Baseline for differences" : "Use as baseline for differences"}
+          >
+            <Star className="h-3 w-3" fill={isBaseline ? "currentColor" : "none"} />
+          </button>
+          <span className="font-semibold">{label}</span>
+          <span className="max-w-[10rem] truncate" title={name}>
+            {name}
+          </span>
+          <button
+            type="button"
+            onClick={() => onRemove(code)}
+            className="rounded-full p-0.5 hover:bg-white/60"
+            aria-label={`Remove ${name}`}
+          >
+            <X className="h-3 w-3" />
+          </button>
+        </span>
+      );
+    })}
+    <span className="text-xs text-slate-500">
+      {slots.length
+        ? `${slots.length} of ${maxSize} selected`
+        : `Select up to ${maxSize} countries on the map or in the list below.`}
+    </span>
+  </div>
+);
+
+export default SelectionChips;
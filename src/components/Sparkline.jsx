@@ -0,0 +1,37 @@
+import React from "react";
+import { isolatedYears, seriesExtent, seriesPath, seriesYears } from "../lib/trend";
+
+const WIDTH = 96;
+const HEIGHT = 24;
+const PAD = 2;
+
+/**
+ * Small multi-line chart of each selected country's series for one metric,
+ * on a shared scale.  `lines` is `[{ key, color, series }]`.
+ */
+export const Sparkline = ({ lines, label }) => {
+  const seriesList = lines.map((line) => line.series);
+  const years = seriesYears(seriesList);
+  const extent = seriesExtent(seriesList);
+  if (years.length < 2 || !extent) return null;
+
+  const [first, last] = [years[0], years[years.length - 1]];
+  const [min, max] = extent;
+  const x = (year) => PAD + ((WIDTH - PAD * 2) * (year - first)) / (last - first);
+  const y = (value) => (max === min ? HEIGHT / 2 : HEIGHT - PAD - ((HEIGHT - PAD * 2) * (value - min)) / (max - min));
+
+  return (
+    <svg width={WIDTH} height={HEIGHT} role="img" aria-label={`${label}, ${first}–${last}`} className="block">
+      {lines.map(({ key, color, series }) => (
+        <g key={key}>
+          <path d={seriesPath(series, years, x, y)} fill="none" stroke={color} strokeWidth={1.5} strokeLinejoin="round" />
+          {isolatedYears(series, years).map((year) => (
+            <circle key={year} cx={x(year)} cy={y(series[year])} r={1.5} fill={color} />
+          ))}
+        </g>
+      ))}
+    </svg>
+  );
+};
+
+export default Sparkline;
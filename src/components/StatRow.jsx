@@ -1,59 +1,126 @@
-import React from "react";
+import React, { useState } from "react";
+import { ChevronDown, ChevronRight } from "lucide-react";
+import { DEFAULT_POLARITY } from "../data/metricCatalog";
 import { DiffCell, relAB } from "../lib/formatters";
+import { Sparkline } from "./Sparkline";
+import { TrendChart } from "./TrendChart";
 
+const isValue = (value) => value != null && value !== "" && Number.isFinite(Number(value));
+
+/**
+ * One metric across the selected countries.  `columns` is
+ * `[{ key, row, color, name }]` in slot order; each cell shows the value, a
+ * best/worst marker, and (for all but `baselineIndex`) the difference from
+ * the baseline country.  `polarity` ("higher", "lower" or "neutral") decides
+ * which values count as best; neutral metrics show direction only.  The label
+ * cell carries a sparkline of every country's series; expanding the row shows
+ * the full trend chart.
+ *
+ * With a selected `year`, the rows are already resolved at it (see
+ * `src/data/yearView.js`): cells show `row[field]` and note the year when a
+ * nearby year stood in for it.
+ */
 export const StatRow = ({
   label,
   field,
-  dataA,
-  dataB,
+  columns,
+  baselineIndex = 0,
   fmt = (value) => value,
   diffSuffix = "",
+  polarity = DEFAULT_POLARITY,
   defaultYear,
+  year = null,
+  info = null,
 }) => {
-  const seriesA = dataA?.__series?.[field] || {};
-  const seriesB = dataB?.__series?.[field] || {};
-
-  const yearsA = Object.keys(seriesA).map(Number).filter(Number.isFinite);
-  const yearsB = Object.keys(seriesB).map(Number).filter(Number.isFinite);
+  const [expanded, setExpanded] = useState(false);
+  const seriesList = columns.map(({ row }) => row?.__series?.[field] || {});
+  const yearsList = seriesList.map((series) => Object.keys(series).map(Number).filter(Number.isFinite));
 
-  // Prefer the latest year available in both datasets. If there is no common
-  // year, fall back to the most recent year seen in either country.
-  const commonYears = yearsA.filter((year) => yearsB.includes(year));
+  // Prefer the latest year available for every country that reports the metric. If there is
+  // no common year, fall back to the most recent year seen in any of them.
+  const reporting = yearsList.filter((years) => years.length);
+  const commonYears = reporting.length
+    ? reporting[0].filter((year) => reporting.every((years) => years.includes(year)))
+    : [];
   let rowYear = null;
-  if (commonYears.length) {
+  if (year != null) {
+    rowYear = year;
+  } else if (commonYears.length) {
     rowYear = Math.max(...commonYears);
-  } else if (yearsA.length || yearsB.length) {
-    rowYear = Math.max(
-      ...(yearsA.length ? yearsA : [-Infinity]),
-      ...(yearsB.length ? yearsB : [-Infinity])
-    );
+  } else if (reporting.length) {
+    rowYear = Math.max(...reporting.flat());
   }
 
-  const valueA = rowYear != null ? seriesA[rowYear] : null;
-  const valueB = rowYear != null ? seriesB[rowYear] : null;
-  const relationship = relAB(valueA, valueB);
+  const values =
+    year != null
+      ? columns.map(({ row }) => row?.[field] ?? null)
+      : seriesList.map((series) => (rowYear != null ? series[rowYear] ?? null : null));
+  const valueYears = columns.map(({ row }) => (year != null ? row?.__years?.[field] ?? null : rowYear));
+
+  // Best and worst among the reported values for the metric's polarity (for neutral metrics,
+  // simply the highest and lowest); nothing is marked when fewer than two differ.
+  const present = values.filter(isValue);
+  const best = present.length
+    ? present.reduce((top, value) => (relAB(top, value, polarity) === "B" ? value : top))
+    : null;
+  const worst = present.length
+    ? present.reduce((low, value) => (relAB(low, value, polarity) === "A" ? value : low))
+    : null;
+  const ranked = present.length >= 2 && relAB(best, worst, polarity) === "A";
+  const standingOf = (value) => {
+    if (!ranked || !isValue(value)) return null;
+    if (relAB(value, best, polarity) === "tie") return "best";
+    return relAB(value, worst, polarity) === "tie" ? "worst" : null;
+  };
 
-  const icon = (kind) => (
-    <span
-      className="ml-2 inline-flex items-center rounded px-1.5 py-0.5 ring-1 shrink-0"
-      style={{
-        backgroundColor: kind === "higher" ? "rgba(16,185,129,0.12)" : "rgba(244,63,94,0.10)",
-        color: kind === "higher" ? "rgb(5,122,85)" : "rgb(190,18,60)",
-        borderColor: kind === "higher" ? "rgba(16,185,129,0.35)" : "rgba(244,63,94,0.35)",
-      }}
-      title={kind === "higher" ? "Higher" : "Lower"}
-    >
-      <span aria-hidden="true" className="text-[10px] leading-none">
-        {kind === "higher" ? "▲" : "▼"}
+  const icon = (standing) => {
+    // The arrow shows direction (highest or lowest value); the color shows the judgment.
+    const highest = (standing === "best") === (polarity !== "lower");
+    const tone = polarity === "neutral" ? "neutral" : standing === "best" ? "good" : "bad";
+    const title =
+      tone === "neutral" ? (highest ? "Highest" : "Lowest") : `${standing === "best" ? "Best" : "Worst"} (${highest ? "highest" : "lowest"})`;
+    return (
+      <span
+        className="ml-2 inline-flex items-center rounded px-1.5 py-0.5 ring-1 shrink-0"
+        style={{
+          backgroundColor:
+            tone === "good" ? "rgba(16,185,129,0.12)" : tone === "bad" ? "rgba(244,63,94,0.10)" : "rgba(100,116,139,0.10)",
+          color: tone === "good" ? "rgb(5,122,85)" : tone === "bad" ? "rgb(190,18,60)" : "rgb(71,85,105)",
+          borderColor:
+            tone === "good" ? "rgba(16,185,129,0.35)" : tone === "bad" ? "rgba(244,63,94,0.35)" : "rgba(100,116,139,0.30)",
+        }}
+        title={title}
+      >
+        <span aria-hidden="true" className="text-[10px] leading-none">
+          {highest ? "▲" : "▼"}
+        </span>
+        <span className="sr-only">{title}</span>
       </span>
-      <span className="sr-only">{kind === "higher" ? "Higher" : "Lower"}</span>
-    </span>
-  );
+    );
+  };
+
+  const lines = columns.map(({ key, color, name }, index) => ({ key, color, name, series: seriesList[index] }));
+  const Chevron = expanded ? ChevronDown : ChevronRight;
 
   const metricLabel = (
     <div className="flex items-start justify-between gap-2 min-w-0">
-      <span className="flex-1 min-w-0 whitespace-normal break-words">{label}</span>
-      {rowYear && defaultYear && rowYear < defaultYear ? (
+      <span className="flex-1 min-w-0 whitespace-normal break-words">
+        <button
+          type="button"
+          onClick={() => setExpanded((open) => !open)}
+          className="mr-1 inline-flex align-middle rounded text-slate-400 hover:text-slate-700"
+          aria-expanded={expanded}
+          aria-label={`${expanded ? "Hide" : "Show"} ${label} trend`}
+        >
+          <Chevron className="h-3.5 w-3.5" />
+        </button>
+        {label}
+        {info && <span className="ml-1 inline-flex align-middle">{info}</span>}
+        <span className="mt-1 block">
+          <Sparkline lines={lines} label={`${label} trend`} />
+        </span>
+      </span>
+      {year == null && rowYear && defaultYear && rowYear < defaultYear ? (
         <span
           className="text-[10px] text-amber-600 shrink-0 whitespace-nowrap tabular-nums text-right"
           title={`Older data: ${rowYear} (default ${defaultYear})`}
@@ -64,38 +131,60 @@ export const StatRow = ({
     </div>
   );
 
-  const highlightA = relationship === "A" ? "bg-emerald-50/30" : relationship === "B" ? "bg-rose-50/30" : "";
-  const highlightB = relationship === "B" ? "bg-emerald-50/30" : relationship === "A" ? "bg-rose-50/30" : "";
-  const displayA = fmt(valueA);
-  const displayB = fmt(valueB);
+  const baselineValue = values[baselineIndex];
+
+  // Clicking anywhere on the row toggles the chart, except on its own buttons and links.
+  const onRowClick = (event) => {
+    if (event.target.closest("button, a, input, [role='dialog']")) return;
+    setExpanded((open) => !open);
+  };
 
   return (
-    <tr className="border-b last:border-0">
-      <td className="py-2 pr-3 text-xs sm:text-sm text-slate-500 align-top">{metricLabel}</td>
-      <td className={`py-2 pr-2 font-medium ${highlightA}`}>
-        <div className="flex items-center gap-1 min-w-0">
-          <span className="truncate" title={displayA}>
-            {displayA}
-          </span>
-          {relationship === "A" && icon("higher")}
-          {relationship === "B" && icon("lower")}
-        </div>
-      </td>
-      <td className={`py-2 pr-2 font-medium ${highlightB}`}>
-        <div className="flex items-center gap-1 min-w-0">
-          <span className="truncate" title={displayB}>
-            {displayB}
-          </span>
-          {relationship === "B" && icon("higher")}
-          {relationship === "A" && icon("lower")}
-        </div>
-      </td>
-      <td className="py-2 pl-2 align-top">
-        <DiffCell a={valueA} b={valueB} suffix={diffSuffix} />
-      </td>
-    </tr>
+    <>
+      <tr className="border-b last:border-0 cursor-pointer hover:bg-slate-50/60" onClick={onRowClick}>
+        <td className="sticky left-0 z-[1] bg-white py-2 pr-3 text-xs sm:text-sm text-slate-500 align-top">
+          {metricLabel}
+        </td>
+        {columns.map(({ key }, index) => {
+          const value = values[index];
+          const standing = standingOf(value);
+          const highlight =
+            polarity === "neutral" || !standing ? "" : standing === "best" ? "bg-emerald-50/30" : "bg-rose-50/30";
+          const display = fmt(value);
+
+          return (
+            <td key={key} className={`py-2 px-2 font-medium align-top ${highlight}`}>
+              <div className="flex items-center gap-1 min-w-0">
+                <span className="truncate" title={display}>
+                  {display}
+                </span>
+                {isValue(value) && valueYears[index] !== rowYear && (
+                  <span className="text-[10px] font-normal text-amber-600 tabular-nums" title={`No ${rowYear} value; nearest year shown`}>
+                    ({valueYears[index]})
+                  </span>
+                )}
+                {standing && icon(standing)}
+              </div>
+              {index !== baselineIndex && isValue(value) && isValue(baselineValue) && (
+                <div className="mt-1 font-normal">
+                  <DiffCell a={baselineValue} b={value} suffix={diffSuffix} polarity={polarity} />
+                </div>
+              )}
+            </td>
+          );
+        })}
+      </tr>
+      {expanded && (
+        <tr className="border-b">
+          <td colSpan={columns.length + 1} className="py-3">
+            <div className="sticky left-0 max-w-[36rem]">
+              <TrendChart lines={lines} label={label} fmt={fmt} />
+            </div>
+          </td>
+        </tr>
+      )}
+    </>
   );
 };
 
 export default StatRow;
-
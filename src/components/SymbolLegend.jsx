@@ -0,0 +1,42 @@
+import React from "react";
+
+/**
+ * Nested-circle size legend for the proportional-symbol layer: circles share
+ * a bottom edge, each labelled at its top with a leader line to the right.
+ */
+export const SymbolLegend = ({ label, values, radiusFor, format }) => {
+  const maxRadius = Math.max(...values.map(radiusFor), 1);
+  const height = maxRadius * 2 + 4;
+  const labelX = maxRadius * 2 + 12;
+  const baseline = height - 2;
+
+  return (
+    <div className="flex items-center gap-2">
+      <svg width={labelX + 64} height={height} role="img" aria-label={`Circle sizes for ${label}`}>
+        {values.map((value) => {
+          const radius = radiusFor(value);
+          const top = baseline - radius * 2;
+          return (
+            <g key={value}>
+              <circle
+                cx={maxRadius + 2}
+                cy={baseline - radius}
+                r={radius}
+                fill="none"
+                stroke="#475569"
+                strokeWidth={0.8}
+              />
+              <line x1={maxRadius + 2} x2={labelX - 2} y1={top} y2={top} stroke="#94A3B8" strokeWidth={0.6} />
+              <text x={labelX} y={top} dy="0.35em" fontSize={10} fill="#64748B">
+                {format(value)}
+              </text>
+            </g>
+          );
+        })}
+      </svg>
+      <span className="text-xs text-slate-500">{label}</span>
+    </div>
+  );
+};
+
+export default SymbolLegend;
@@ -0,0 +1,129 @@
+import React, { useState } from "react";
+import { legendFmt } from "../lib/formatters";
+import { isolatedYears, niceTicks, seriesExtent, seriesPath, seriesYears } from "../lib/trend";
+
+const WIDTH = 560;
+const HEIGHT = 200;
+const MARGIN = { top: 10, right: 14, bottom: 24, left: 52 };
+const MAX_YEAR_LABELS = 10;
+
+/**
+ * Full trend chart for one metric, shown when a comparison row is expanded.
+ * Lines break where a country has no value for a year; hovering moves a
+ * crosshair to the nearest year and lists each country's value below.
+ *
+ * `lines` is `[{ key, color, name, series }]`.
+ */
+export const TrendChart = ({ lines, label, fmt = legendFmt }) => {
+  const [hoverYear, setHoverYear] = useState(null);
+  const seriesList = lines.map((line) => line.series);
+  const years = seriesYears(seriesList);
+  const extent = seriesExtent(seriesList);
+
+  if (!years.length || !extent) {
+    return <p className="py-4 text-center text-xs text-slate-400">No yearly data for {label}.</p>;
+  }
+
+  const first = years[0];
+  const last = years[years.length - 1];
+  const ticks = niceTicks(extent[0], extent[1]);
+  const min = Math.min(extent[0], ticks[0]);
+  const max = Math.max(extent[1], ticks[ticks.length - 1]);
+  const plotWidth = WIDTH - MARGIN.left - MARGIN.right;
+  const plotHeight = HEIGHT - MARGIN.top - MARGIN.bottom;
+
+  const x = (year) => MARGIN.left + (last === first ? plotWidth / 2 : (plotWidth * (year - first)) / (last - first));
+  const y = (value) => MARGIN.top + (max === min ? plotHeight / 2 : plotHeight - (plotHeight * (value - min)) / (max - min));
+
+  const allYears = Array.from({ length: last - first + 1 }, (_, index) => first + index);
+  const labelStep = Math.ceil(allYears.length / MAX_YEAR_LABELS);
+
+  const onMouseMove = (event) => {
+    const rect = event.currentTarget.getBoundingClientRect();
+    const svgX = ((event.clientX - rect.left) / rect.width) * WIDTH;
+    const year = last === first ? first : Math.round(first + ((svgX - MARGIN.left) / plotWidth) * (last - first));
+    setHoverYear(Math.min(last, Math.max(first, year)));
+  };
+
+  return (
+    <div>
+      <svg
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        className="w-full h-auto"
+        role="img"
+        aria-label={`${label} by year, ${first}–${last}`}
+        onMouseMove={onMouseMove}
+        onMouseLeave={() => setHoverYear(null)}
+      >
+        {ticks.map((tick) => (
+          <g key={tick}>
+            <line x1={MARGIN.left} x2={WIDTH - MARGIN.right} y1={y(tick)} y2={y(tick)} stroke="#E2E8F0" />
+            <text x={MARGIN.left - 6} y={y(tick)} dy="0.32em" textAnchor="end" fontSize={10} fill="#64748B">
+              {legendFmt(tick)}
+            </text>
+          </g>
+        ))}
+        <line
+          x1={MARGIN.left}
+          x2={WIDTH - MARGIN.right}
+          y1={HEIGHT - MARGIN.bottom}
+          y2={HEIGHT - MARGIN.bottom}
+          stroke="#94A3B8"
+        />
+        {allYears
+          .filter((_, index) => index % labelStep === 0)
+          .map((year) => (
+            <text key={year} x={x(year)} y={HEIGHT - MARGIN.bottom + 14} textAnchor="middle" fontSize={10} fill="#64748B">
+              {year}
+            </text>
+          ))}
+
+        {lines.map(({ key, color, series }) => (
+          <g key={key}>
+            <path d={seriesPath(series, years, x, y)} fill="none" stroke={color} strokeWidth={2} strokeLinejoin="round" />
+            {isolatedYears(series, years).map((year) => (
+              <circle key={year} cx={x(year)} cy={y(series[year])} r={2.5} fill={color} />
+            ))}
+          </g>
+        ))}
+
+        {hoverYear != null && (
+          <g pointerEvents="none">
+            <line
+              x1={x(hoverYear)}
+              x2={x(hoverYear)}
+              y1={MARGIN.top}
+              y2={HEIGHT - MARGIN.bottom}
+              stroke="#475569"
+              strokeDasharray="3 3"
+            />
+            {lines.map(({ key, color, series }) =>
+              typeof series?.[hoverYear] === "number" ? (
+                <circle key={key} cx={x(hoverYear)} cy={y(series[hoverYear])} r={3.5} fill={color} stroke="#FFFFFF" />
+              ) : null
+            )}
+          </g>
+        )}
+      </svg>
+
+      <div className="flex flex-wrap gap-x-4 gap-y-1 text-xs text-slate-600" aria-live="polite">
+        {hoverYear != null && <span className="font-medium text-slate-700">{hoverYear}</span>}
+        {lines.map(({ key, color, name, series }) => (
+          <span key={key} className="inline-flex items-center gap-1.5">
+            <span className="inline-block h-2 w-3 rounded-sm" style={{ backgroundColor: color }} />
+            <span className="truncate max-w-[10rem]" title={name}>
+              {name}
+            </span>
+            {hoverYear != null && (
+              <span className="tabular-nums text-slate-800">
+                {typeof series?.[hoverYear] === "number" ? fmt(series[hoverYear]) : "no data"}
+              </span>
+            )}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default TrendChart;
@@ -53,11 +53,12 @@ export const Input = ({ className = "", ...props }) => (
 );
 
 /** Reusable select/dropdown control. */
-export const Select = ({ value, onChange, children, className = "" }) => (
+export const Select = ({ value, onChange, children, className = "", ...props }) => (
   <select
     value={value}
     onChange={(event) => onChange(event.target.value)}
-    className={`rounded-xl border border-slate-300 bg-white px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-slate-300 ${className}`}
+    className={`rounded-xl border border-slate-300 bg-white px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-slate-300 disabled:opacity-60 ${className}`}
+    {...props}
   >
     {children}
   </select>
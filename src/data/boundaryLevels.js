@@ -0,0 +1,18 @@
+/**
+ * Boundary resolutions, coarsest first.  The base level is loaded with the
+ * dataset; finer levels are fetched the first time the map zoom reaches their
+ * `minZoom` (see `useBoundaryDetail`).  All levels carry the same Natural
+ * Earth code properties, so `getIso3` resolves a country identically at every
+ * resolution (`npm run boundaries` regenerates the finer files).
+ */
+export const BOUNDARY_LEVELS = [
+  { resolution: "110m", minZoom: 1, file: "world-countries.geojson" },
+  { resolution: "50m", minZoom: 2, file: "world-countries-50m.topo.json" },
+  { resolution: "10m", minZoom: 4, file: "world-countries-10m.topo.json" },
+];
+
+export const BASE_BOUNDARY_LEVEL = BOUNDARY_LEVELS[0];
+
+/** Finest level whose `minZoom` the given zoom has reached. */
+export const boundaryLevelForZoom = (zoom) =>
+  BOUNDARY_LEVELS.reduce((chosen, level) => (zoom >= level.minZoom ? level : chosen), BASE_BOUNDARY_LEVEL);
@@ -0,0 +1,58 @@
+import { METRIC_CATALOG_VERSION, parseMetricCatalog } from "./metricCatalog";
+
+/**
+ * Indicators the user added from the World Bank catalog.  They are stored in
+ * localStorage as plain metric-catalog entries (same schema as
+ * `public/data/metrics.json`) and validated the same way when read back.
+ */
+
+const STORAGE_KEY = "wb:customIndicators";
+
+/** Category (table group) that user-added indicators are listed under. */
+export const CUSTOM_CATEGORY = "Added indicators";
+
+/** Row field used for an added indicator code, e.g. `SE.PRM.ENRR` → `wb_se_prm_enrr`. */
+export const customFieldFor = (code) => `wb_${String(code).toLowerCase().replace(/[^a-z0-9]+/g, "_")}`;
+
+/** Pick a format spec from the indicator's name/unit (World Bank names carry the unit). */
+export const guessFormat = ({ name = "", unit = "" } = {}) => {
+  const text = `${name} ${unit}`;
+  if (/%|percent/i.test(text)) return { type: "percent", digits: 1 };
+  if (/US\$|current \$|constant \$/i.test(text)) return { type: "currency", compact: true };
+  if (/\bper\b|\/capita|rate|index|ratio/i.test(text)) return { type: "number", compact: false, digits: 2 };
+  return { type: "number", compact: true };
+};
+
+/** Build a catalog entry for an indicator returned by `provider.searchIndicators`. */
+export const toCustomEntry = (indicator) => ({
+  field: customFieldFor(indicator.code),
+  code: indicator.code,
+  label: indicator.name || indicator.code,
+  category: CUSTOM_CATEGORY,
+  alwaysInclude: true,
+  format: guessFormat(indicator),
+});
+
+/** Read the stored entries.  Returns `{ entries, metrics, issues }`. */
+export const readCustomIndicators = () => {
+  let entries = [];
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    if (raw) entries = JSON.parse(raw);
+  } catch (error) {
+    console.warn("Ignoring unreadable custom indicators", error);
+  }
+
+  if (!Array.isArray(entries)) entries = [];
+  const { metrics, issues } = parseMetricCatalog({ version: METRIC_CATALOG_VERSION, metrics: entries });
+  const validFields = new Set(metrics.map((metric) => metric.field));
+  return { entries: entries.filter((entry) => validFields.has(entry?.field)), metrics, issues };
+};
+
+export const writeCustomIndicators = (entries) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+  } catch {
+    // Ignore localStorage access failures (e.g., Safari private mode).
+  }
+};
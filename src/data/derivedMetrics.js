@@ -0,0 +1,146 @@
+import { compileFormula } from "../lib/formula";
+import { validateSchema } from "../lib/jsonSchema";
+import { DERIVED_METRIC_SCHEMA, toMetric } from "./metricCatalog";
+
+/**
+ * Derived metrics: fields computed from other fields with a formula such as
+ * `(exports_usd + imports_usd) / gdp_nominal_usd * 100`.  Values are computed
+ * year by year from each row's `__series`, so derived rows carry the same
+ * `{ year: value }` series and `__years` entry as fetched indicators and work
+ * anywhere a fetched metric does (table, common-year logic, map coloring).
+ *
+ * Presets ship in the `derived` list of `public/data/metrics.json`; metrics
+ * defined in the app are stored in localStorage.
+ */
+
+const STORAGE_KEY = "wb:derivedMetrics";
+
+/** Category (table group) for metrics defined in the app. */
+export const DERIVED_CATEGORY = "Derived metrics";
+
+/** Row field for a metric defined in the app, e.g. "GDP per km²" → `calc_gdp_per_km`. */
+export const derivedFieldFor = (label) => {
+  const slug = String(label)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "");
+  return `calc_${slug || "metric"}`;
+};
+
+/**
+ * Compile derived entries against the fields they may reference.  Entries are
+ * compiled in order, so later formulas may use earlier derived fields.
+ *
+ * Returns `{ metrics, issues }`: runtime metrics (formatter attached, plus
+ * `derived: true` and the compiled `formula`) and `{ path, message, field }`
+ * issues for entries that were skipped.
+ */
+export const compileDerivedMetrics = (entries, knownFields, { path = "derived" } = {}) => {
+  const known = new Set(knownFields);
+  const metrics = [];
+  const issues = [];
+
+  (entries || []).forEach((entry, index) => {
+    const entryPath = `${path}[${index}]`;
+    const field = entry?.field;
+
+    if (known.has(field)) {
+      issues.push({ path: `${entryPath}.field`, message: `duplicates field "${field}"`, field });
+      return;
+    }
+
+    let compiled;
+    try {
+      compiled = compileFormula(entry.formula, { fields: known });
+    } catch (error) {
+      issues.push({ path: `${entryPath}.formula`, message: error.message, field });
+      return;
+    }
+
+    if (!compiled.fields.length) {
+      issues.push({ path: `${entryPath}.formula`, message: "must reference at least one metric", field });
+      return;
+    }
+
+    known.add(field);
+    metrics.push({ ...toMetric(entry), derived: true, formula: entry.formula, compiled });
+  });
+
+  return { metrics, issues };
+};
+
+/**
+ * Evaluate one derived metric for a row.  Returns `{ series, latest, year }`;
+ * a year gets a value only when every referenced field has one that year.
+ */
+export const evaluateDerived = (row, metric) => {
+  const years = new Set();
+  for (const name of metric.compiled.fields) {
+    Object.keys(row?.__series?.[name] || {}).forEach((year) => years.add(Number(year)));
+  }
+
+  const series = {};
+  let year = null;
+  for (const candidate of years) {
+    if (!Number.isFinite(candidate)) continue;
+    const value = metric.compiled.evaluate((name) => row.__series?.[name]?.[candidate]);
+    if (value == null) continue;
+    series[candidate] = value;
+    if (year === null || candidate > year) year = candidate;
+  }
+
+  return { series, latest: year === null ? null : series[year], year };
+};
+
+/**
+ * Add every derived metric to every row, returning new row objects.  Rows
+ * without a value keep no entry for the field, like a missing indicator.
+ */
+export const applyDerivedMetrics = (rows, metrics) => {
+  if (!metrics?.length) return rows;
+
+  return rows.map((row) => {
+    const next = { ...row, __years: { ...row.__years }, __series: { ...row.__series } };
+
+    for (const metric of metrics) {
+      const { series, latest, year } = evaluateDerived(next, metric);
+      if (year === null) continue;
+
+      next[metric.field] = latest;
+      next.__years[metric.field] = year;
+      next.__series[metric.field] = series;
+    }
+
+    return next;
+  });
+};
+
+/** Read metrics defined in the app.  Returns `{ entries, issues }` (schema-valid entries only). */
+export const readUserDerivedMetrics = () => {
+  let stored = [];
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    if (raw) stored = JSON.parse(raw);
+  } catch (error) {
+    console.warn("Ignoring unreadable derived metrics", error);
+  }
+
+  if (!Array.isArray(stored)) stored = [];
+  const entries = [];
+  const issues = [];
+  stored.forEach((entry, index) => {
+    const entryIssues = validateSchema(entry, DERIVED_METRIC_SCHEMA, `saved[${index}]`);
+    if (entryIssues.length) issues.push(...entryIssues.map((issue) => ({ ...issue, field: entry?.field })));
+    else entries.push(entry);
+  });
+
+  return { entries, issues };
+};
+
+export const writeUserDerivedMetrics = (entries) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+  } catch {
+    // Ignore localStorage access failures (e.g., Safari private mode).
+  }
+};
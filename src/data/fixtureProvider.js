@@ -0,0 +1,61 @@
+import { sleep } from "../lib/fetchUtils";
+import { searchIndicatorCatalog } from "./indicatorSearch";
+import { parseCountries, parseIndicatorCatalog, parseIndicatorRecords } from "./worldBankFormat";
+import { toFeatureCollection } from "./worldBankProvider";
+
+/**
+ * In-memory data provider backed by raw World Bank payloads (see
+ * `fixtures/worldBankSample.json`).  Useful for offline development and for
+ * exercising the row-merging pipeline without network access.
+ *
+ * `fixture.boundaries` may hold a FeatureCollection; otherwise `loadBoundaries`
+ * delegates to the supplied callback (the app passes the bundled GeoJSON).
+ * Finer resolutions are always delegated.
+ */
+export const createFixtureProvider = (fixture, { loadBoundaries, latencyMs = 0 } = {}) => {
+  // `fixture` may be the payload itself or a (lazy) function resolving to it.
+  let pending = null;
+  const getFixture = () => {
+    if (!pending) pending = Promise.resolve(typeof fixture === "function" ? fixture() : fixture);
+    return pending;
+  };
+
+  return {
+    name: "fixture",
+
+    async listCountries({ signal } = {}) {
+      await sleep(latencyMs, signal);
+      return parseCountries((await getFixture())?.countries);
+    },
+
+    async searchIndicators(query, { signal, limit = 50 } = {}) {
+      await sleep(latencyMs, signal);
+      return searchIndicatorCatalog(parseIndicatorCatalog((await getFixture())?.indicatorCatalog), query, limit);
+    },
+
+    async fetchIndicatorMetadata(code, { signal } = {}) {
+      await sleep(latencyMs, signal);
+      const [metadata] = parseIndicatorCatalog(
+        ((await getFixture())?.indicatorCatalog || []).filter((record) => record?.id === code)
+      );
+      if (!metadata) throw new Error(`World Bank API error: The indicator ${code} was not found in the fixture.`);
+      return metadata;
+    },
+
+    async fetchIndicator(code, { signal } = {}) {
+      await sleep(latencyMs, signal);
+      const indicators = (await getFixture())?.indicators || {};
+      if (!Object.hasOwn(indicators, code)) {
+        throw new Error(`World Bank API error: The indicator ${code} was not found in the fixture.`);
+      }
+      return parseIndicatorRecords(indicators[code]);
+    },
+
+    async loadBoundaries({ signal, resolution } = {}) {
+      const data = await getFixture();
+      if (data?.boundaries && !resolution) return toFeatureCollection(data.boundaries);
+      if (!loadBoundaries) throw new Error("Fixture has no boundaries and no loader was supplied.");
+      return loadBoundaries({ signal, resolution });
+    },
+  };
+};
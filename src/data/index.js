@@ -0,0 +1,82 @@
+/**
+ * Data-provider entry point.
+ *
+ * A provider is a plain object implementing:
+ *
+ * - `listCountries({ signal })` → `Promise<Array<{ iso3, iso2, country, aggregate,
+ *   profile }>>` (`aggregate` marks regions, income groups and the World;
+ *   `profile` holds region, income level, lending type, capital and coordinates)
+ * - `fetchIndicator(code, { signal })` → `Promise<{ latest: Map, series: Map }>`
+ *   keyed by ISO-3 (`latest` holds `{ value, year }`, `series` holds `{ year: value }`)
+ * - `loadBoundaries({ signal, resolution })` → `Promise<GeoJSON.FeatureCollection>`
+ *   (the base boundaries, or a finer level from `BOUNDARY_LEVELS` by resolution)
+ * - `searchIndicators(query, { signal, limit })` → `Promise<Array<{ code, name,
+ *   unit, source, sourceNote, sourceOrganization, topics }>>`
+ * - `fetchIndicatorMetadata(code, { signal })` → `Promise<{ code, name, unit,
+ *   source, sourceNote, sourceOrganization, topics }>` for one indicator
+ *
+ * `createDataProvider()` picks the implementation from Vite env variables:
+ * `VITE_DATA_PROVIDER=fixture` serves the bundled sample payloads in memory,
+ * and `VITE_WB_API_URL` points the World Bank provider at another server
+ * (for example `scripts/mock-worldbank-server.js`).
+ */
+import { createFixtureProvider } from "./fixtureProvider";
+import { createWorldBankProvider, WORLD_BANK_API } from "./worldBankProvider";
+import { BASE_BOUNDARY_LEVEL, BOUNDARY_LEVELS } from "./boundaryLevels";
+
+export { BASE_BOUNDARY_LEVEL, BOUNDARY_LEVELS, boundaryLevelForZoom } from "./boundaryLevels";
+export { createFixtureProvider } from "./fixtureProvider";
+export { createWorldBankProvider, WORLD_BANK_API } from "./worldBankProvider";
+export { loadDataset, loadIndicatorMetadata } from "./loadDataset";
+export { buildAggregateRows, buildRows, mergeIndicatorBundle } from "./mergeRows";
+
+const env = import.meta.env || {};
+
+/** URL for the Natural Earth GeoJSON dataset used to draw country boundaries. */
+export const BOUNDARIES_URL = `${env.BASE_URL || "/"}data/${BASE_BOUNDARY_LEVEL.file}`;
+
+/** URLs of the finer boundary files, keyed by resolution. */
+export const DETAIL_BOUNDARY_URLS = Object.fromEntries(
+  BOUNDARY_LEVELS.slice(1).map((level) => [level.resolution, `${env.BASE_URL || "/"}data/${level.file}`])
+);
+
+/** Share one in-flight/settled boundaries request per resolution between all callers. */
+const withSharedBoundaries = (provider) => {
+  const pending = new Map();
+  return {
+    ...provider,
+    loadBoundaries(options = {}) {
+      const key = options.resolution || BASE_BOUNDARY_LEVEL.resolution;
+      if (!pending.has(key)) {
+        pending.set(
+          key,
+          provider.loadBoundaries(options).catch((error) => {
+            pending.delete(key);
+            throw error;
+          })
+        );
+      }
+      return pending.get(key);
+    },
+  };
+};
+
+export const createDataProvider = ({
+  kind = env.VITE_DATA_PROVIDER || "worldBank",
+  baseUrl = env.VITE_WB_API_URL || WORLD_BANK_API,
+  boundariesUrl = BOUNDARIES_URL,
+  detailBoundaryUrls = DETAIL_BOUNDARY_URLS,
+} = {}) => {
+  const worldBank = createWorldBankProvider({ baseUrl, boundariesUrl, detailBoundaryUrls });
+
+  if (kind === "fixture") {
+    return withSharedBoundaries(
+      createFixtureProvider(() => import("./fixtures/worldBankSample.json").then((module) => module.default), {
+        loadBoundaries: worldBank.loadBoundaries,
+        latencyMs: 150,
+      })
+    );
+  }
+
+  return withSharedBoundaries(worldBank);
+};
@@ -0,0 +1,30 @@
+/**
+ * Case-insensitive search over a parsed indicator catalog.  Every whitespace
+ * separated term must appear in the name or code; exact and prefix code
+ * matches rank first, then name-prefix matches, then the rest alphabetically.
+ */
+export const searchIndicatorCatalog = (entries, query, limit = 50) => {
+  const normalized = String(query || "").trim().toLowerCase();
+  if (!normalized) return [];
+
+  const terms = normalized.split(/\s+/);
+  const rank = (entry) => {
+    const code = entry.code.toLowerCase();
+    const name = entry.name.toLowerCase();
+    if (code === normalized) return 0;
+    if (code.startsWith(normalized)) return 1;
+    if (name.startsWith(normalized)) return 2;
+    return 3;
+  };
+
+  return entries
+    .filter((entry) => {
+      const haystack = `${entry.code} ${entry.name}`.toLowerCase();
+      return terms.every((term) => haystack.includes(term));
+    })
+    .sort((a, b) => rank(a) - rank(b) || a.name.localeCompare(b.name))
+    .slice(0, limit);
+};
+
+/** True when `query` looks like a World Bank indicator code (e.g. `SP.POP.TOTL`). */
+export const looksLikeIndicatorCode = (query) => /^[A-Za-z0-9]+(\.[A-Za-z0-9_]+)+$/.test(String(query || "").trim());
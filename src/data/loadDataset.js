@@ -0,0 +1,111 @@
+import { isAbortError, mapWithConcurrency } from "../lib/fetchUtils";
+import { buildAggregateRows, buildRows } from "./mergeRows";
+
+const DEFAULT_CONCURRENCY = 4;
+
+/**
+ * Fetch indicator metadata (name, unit, source note, source organization) for
+ * every code not already in `previous`.  Metadata is optional, so failures
+ * are skipped; resolves to `previous` merged with whatever was fetched,
+ * keyed by indicator code.
+ */
+export const loadIndicatorMetadata = async (
+  provider,
+  codes,
+  { signal, previous = {}, concurrency = DEFAULT_CONCURRENCY } = {}
+) => {
+  const missing = [...new Set(codes)].filter((code) => code && !previous[code]);
+  if (!missing.length || !provider.fetchIndicatorMetadata) return previous;
+
+  const results = await mapWithConcurrency(
+    missing,
+    concurrency,
+    (code) => provider.fetchIndicatorMetadata(code, { signal }),
+    { signal }
+  );
+  signal?.throwIfAborted();
+
+  const metadata = { ...previous };
+  results.forEach((result, index) => {
+    if (result.status === "fulfilled") metadata[missing[index]] = result.value;
+  });
+  return metadata;
+};
+
+/**
+ * Run the full acquisition pipeline against a data provider: countries,
+ * boundaries, then every metric's indicator with bounded concurrency, then
+ * metadata for indicators not yet in `previousMetadata`.
+ *
+ * Resolves to `{ rows, aggregates, featureCollection, metadata, failures }`,
+ * where `aggregates` holds the region/income-group/World rows.
+ *
+ * Individual indicator failures do not reject; they are reported through
+ * `onIndicatorStatus(field, { status, error })` and in the returned `failures`.
+ * Rejects only when countries/boundaries fail, every indicator fails, or the
+ * signal aborts.
+ */
+export const loadDataset = async (
+  provider,
+  metrics,
+  {
+    signal,
+    previousRows = [],
+    previousAggregates = [],
+    previousMetadata = {},
+    concurrency = DEFAULT_CONCURRENCY,
+    onIndicatorStatus,
+  } = {}
+) => {
+  const [countries, featureCollection] = await Promise.all([
+    provider.listCountries({ signal }),
+    provider.loadBoundaries({ signal }),
+  ]);
+
+  metrics.forEach((metric) => onIndicatorStatus?.(metric.field, { status: "loading" }));
+
+  const results = await mapWithConcurrency(
+    metrics,
+    concurrency,
+    async (metric) => {
+      try {
+        const bundle = await provider.fetchIndicator(metric.code, { signal });
+        onIndicatorStatus?.(metric.field, { status: "ok" });
+        return bundle;
+      } catch (error) {
+        if (!isAbortError(error)) {
+          onIndicatorStatus?.(metric.field, { status: "error", error: error?.message || "Request failed" });
+        }
+        throw error;
+      }
+    },
+    { signal }
+  );
+
+  signal?.throwIfAborted();
+
+  const bundles = results.map((result) => (result.status === "fulfilled" ? result.value : null));
+  if (!bundles.some(Boolean)) {
+    throw new Error("None of the World Bank indicators could be loaded.");
+  }
+
+  const failures = results
+    .map((result, index) =>
+      result.status === "rejected" ? { field: metrics[index].field, error: result.reason } : null
+    )
+    .filter(Boolean);
+
+  const metadata = await loadIndicatorMetadata(
+    provider,
+    metrics.map((metric) => metric.code),
+    { signal, previous: previousMetadata, concurrency }
+  );
+
+  return {
+    rows: buildRows({ countries, featureCollection, metrics, bundles, previousRows }),
+    aggregates: buildAggregateRows({ countries, metrics, bundles, previousRows: previousAggregates }),
+    featureCollection,
+    metadata,
+    failures,
+  };
+};
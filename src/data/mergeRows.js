@@ -0,0 +1,118 @@
+import { getIso2, getIso3, getNameProp } from "../lib/geoProps";
+
+/**
+ * Combine World Bank countries, boundary features and indicator bundles into
+ * the row list the UI consumes.  Each row carries the latest value per metric
+ * field plus `__years` (year of that value), `__series` (`{ year: value }`)
+ * and `__profile` (region, income level, lending type, capital and
+ * coordinates from `/v2/country`, or null for shapes the World Bank does not
+ * list).  Aggregates in `countries` are skipped; see `buildAggregateRows`.
+ *
+ * `bundles[i]` belongs to `metrics[i]`; a `null` bundle (failed indicator)
+ * keeps whatever `previousRows` had for that field.
+ */
+export const buildRows = ({ countries, featureCollection, metrics, bundles, previousRows = [] }) => {
+  const economies = countries.filter((country) => !country.aggregate);
+  const wbNameMap = new Map(economies.map((country) => [country.iso3, country.country]));
+  const wbIso2Map = new Map(economies.map((country) => [country.iso3, country.iso2]));
+  const wbProfileMap = new Map(economies.map((country) => [country.iso3, country.profile || null]));
+
+  const knownCodes = new Set(wbNameMap.keys());
+  const geoCountries = (featureCollection?.features || [])
+    .map((feature) => {
+      const iso = getIso3(feature.properties, knownCodes);
+      const name = getNameProp(feature.properties);
+      const iso2 = getIso2(feature.properties);
+      return iso ? { iso3: iso, iso2: iso2 || null, country: name } : null;
+    })
+    .filter(Boolean);
+
+  const geoNameMap = new Map(geoCountries.map((country) => [country.iso3, country.country]));
+  const geoIso2Map = new Map(
+    geoCountries.filter((country) => country.iso2).map((country) => [country.iso3, country.iso2])
+  );
+
+  const allIso = new Set([...wbNameMap.keys(), ...geoNameMap.keys()]);
+  bundles.forEach((bundle) => bundle?.latest.forEach((_, iso) => allIso.add(iso)));
+
+  const nameMap = new Map(geoNameMap);
+  wbNameMap.forEach((name, iso) => nameMap.set(iso, name));
+
+  const previousByIso = new Map(previousRows.map((row) => [row.iso3, row]));
+
+  return Array.from(allIso)
+    .filter((iso) => wbNameMap.has(iso) || geoNameMap.has(iso))
+    .map((iso) =>
+      fillRow(
+        {
+          iso3: iso,
+          iso2: wbIso2Map.get(iso) || geoIso2Map.get(iso) || null,
+          country: nameMap.get(iso) || iso,
+          __years: {},
+          __series: {},
+          __profile: wbProfileMap.get(iso) || null,
+        },
+        { metrics, bundles, previous: previousByIso.get(iso) }
+      )
+    );
+};
+
+/**
+ * Rows for World Bank aggregates (regions, income groups, World), shaped like
+ * country rows plus `aggregate: true`.  They have no map shape and are kept
+ * apart from the country rows so they never count toward coverage or colors.
+ */
+export const buildAggregateRows = ({ countries, metrics, bundles, previousRows = [] }) => {
+  const previousByIso = new Map(previousRows.map((row) => [row.iso3, row]));
+
+  return countries
+    .filter((country) => country.aggregate)
+    .map((aggregate) =>
+      fillRow(
+        { iso3: aggregate.iso3, iso2: aggregate.iso2, country: aggregate.country, aggregate: true, __years: {}, __series: {} },
+        { metrics, bundles, previous: previousByIso.get(aggregate.iso3) }
+      )
+    );
+};
+
+const fillRow = (row, { metrics, bundles, previous }) => {
+  metrics.forEach((metric, index) => {
+    if (bundles[index]) applyIndicatorBundle(row, metric.field, bundles[index]);
+    else carryOverField(row, metric.field, previous);
+  });
+  return row;
+};
+
+/** Write one indicator bundle onto a row (mutates and returns the row). */
+export const applyIndicatorBundle = (row, field, bundle) => {
+  const latest = bundle.latest.get(row.iso3);
+  const series = bundle.series.get(row.iso3);
+
+  if (latest) {
+    row[field] = latest.value;
+    row.__years[field] = latest.year;
+  } else {
+    delete row[field];
+    delete row.__years[field];
+  }
+
+  if (series) row.__series[field] = series;
+  else delete row.__series[field];
+
+  return row;
+};
+
+/** Copy one field (value, year and series) from a previously loaded row. */
+export const carryOverField = (row, field, previous) => {
+  if (!previous || previous[field] == null) return row;
+  row[field] = previous[field];
+  if (previous.__years?.[field] != null) row.__years[field] = previous.__years[field];
+  if (previous.__series?.[field]) row.__series[field] = previous.__series[field];
+  return row;
+};
+
+/** Return copies of `rows` with one indicator bundle merged in (rows are not mutated). */
+export const mergeIndicatorBundle = (rows, field, bundle) =>
+  rows.map((row) =>
+    applyIndicatorBundle({ ...row, __years: { ...row.__years }, __series: { ...row.__series } }, field, bundle)
+  );
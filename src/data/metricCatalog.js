@@ -0,0 +1,211 @@
+import { fetchJsonWithRetry } from "../lib/fetchUtils";
+import { numberFmt, percentFmt, smallNumberFmt } from "../lib/formatters";
+import { validateSchema } from "../lib/jsonSchema";
+import { PALETTES } from "../lib/palettes";
+import { DEFAULT_POLARITY, METRIC_POLARITIES } from "../lib/polarity";
+
+/**
+ * Metric catalog: World Bank indicator codes plus the field name, label,
+ * category and formatting used by the table, legend and color selector.
+ *
+ * The catalog is plain JSON (`public/data/metrics.json`) loaded at runtime so
+ * indicators can be added or retuned without touching components.  Entries
+ * are validated against `METRIC_ENTRY_SCHEMA`; invalid entries are skipped
+ * and reported as issues instead of breaking the app.  The optional `derived`
+ * list holds formula metrics (`DERIVED_METRIC_SCHEMA`) computed from other
+ * fields; see `src/data/derivedMetrics.js`.
+ */
+
+/** Location of the catalog relative to the app's base URL. */
+export const METRIC_CATALOG_URL = `${import.meta.env?.BASE_URL || "/"}data/metrics.json`;
+
+export const METRIC_CATALOG_VERSION = 1;
+
+const DIGITS_SCHEMA = { type: "integer", minimum: 0, maximum: 6 };
+
+/** Declarative format spec, resolved to a formatter by `resolveFormat`. */
+export const FORMAT_SCHEMA = {
+  discriminator: "type",
+  oneOf: [
+    {
+      type: "object",
+      required: ["type"],
+      additionalProperties: false,
+      properties: { type: { const: "number" }, compact: { type: "boolean" }, digits: DIGITS_SCHEMA },
+    },
+    {
+      type: "object",
+      required: ["type"],
+      additionalProperties: false,
+      properties: {
+        type: { const: "currency" },
+        compact: { type: "boolean" },
+        digits: DIGITS_SCHEMA,
+        symbol: { type: "string", minLength: 1 },
+      },
+    },
+    {
+      type: "object",
+      required: ["type"],
+      additionalProperties: false,
+      properties: { type: { const: "percent" }, digits: DIGITS_SCHEMA },
+    },
+  ],
+};
+
+/** Default map palette (a `PALETTES` id) and, for diverging palettes, the neutral midpoint. */
+const PALETTE_PROPERTIES = {
+  palette: { type: "string", enum: Object.keys(PALETTES) },
+  paletteMidpoint: { type: "number" },
+};
+
+/** `magnitude` marks absolute counts (population, GDP, area) offered for the proportional-symbol layer. */
+const MAGNITUDE_PROPERTY = { magnitude: { type: "boolean" } };
+
+/** Which way is better; see `src/lib/polarity.js`. */
+export { DEFAULT_POLARITY, METRIC_POLARITIES };
+const POLARITY_PROPERTY = { polarity: { type: "string", enum: METRIC_POLARITIES } };
+
+export const METRIC_ENTRY_SCHEMA = {
+  type: "object",
+  required: ["field", "code", "label", "category", "format"],
+  additionalProperties: false,
+  properties: {
+    field: { type: "string", pattern: "^[a-z][a-z0-9_]*$" },
+    code: { type: "string", pattern: "^[A-Za-z0-9][A-Za-z0-9._]*$" },
+    label: { type: "string", minLength: 1 },
+    category: { type: "string", minLength: 1 },
+    minCoverage: { type: "number", minimum: 0, maximum: 1 },
+    alwaysInclude: { type: "boolean" },
+    diffSuffix: { type: "string" },
+    format: FORMAT_SCHEMA,
+    ...PALETTE_PROPERTIES,
+    ...MAGNITUDE_PROPERTY,
+    ...POLARITY_PROPERTY,
+  },
+};
+
+/** A metric computed from other fields by a formula such as `population / area_km2`. */
+export const DERIVED_METRIC_SCHEMA = {
+  type: "object",
+  required: ["field", "label", "category", "formula", "format"],
+  additionalProperties: false,
+  properties: {
+    field: METRIC_ENTRY_SCHEMA.properties.field,
+    label: { type: "string", minLength: 1 },
+    category: { type: "string", minLength: 1 },
+    formula: { type: "string", minLength: 1 },
+    minCoverage: { type: "number", minimum: 0, maximum: 1 },
+    alwaysInclude: { type: "boolean" },
+    diffSuffix: { type: "string" },
+    format: FORMAT_SCHEMA,
+    ...PALETTE_PROPERTIES,
+    ...MAGNITUDE_PROPERTY,
+    ...POLARITY_PROPERTY,
+  },
+};
+
+export const METRIC_CATALOG_SCHEMA = {
+  type: "object",
+  required: ["version", "metrics"],
+  properties: {
+    $schema: { type: "string" },
+    version: { const: METRIC_CATALOG_VERSION },
+    metrics: { type: "array" },
+    derived: { type: "array" },
+  },
+  additionalProperties: false,
+};
+
+/**
+ * Turn a format spec such as `{ type: "currency", compact: true }` or
+ * `{ type: "percent", digits: 1 }` into a `(value) => string` formatter.
+ */
+export const resolveFormat = (spec = { type: "number" }) => {
+  const digits = spec.digits;
+
+  switch (spec.type) {
+    case "percent":
+      return (value) => percentFmt(value, digits ?? 1);
+    case "currency": {
+      const symbol = spec.symbol ?? "$";
+      const format = spec.compact === false ? (value) => smallNumberFmt(value, digits ?? 0) : numberFmt;
+      return (value) => {
+        if (value == null || value === "") return "—";
+        return Number(value) < 0 ? `-${symbol}${format(-value)}` : symbol + format(value);
+      };
+    }
+    case "number":
+    default:
+      return spec.compact === false ? (value) => smallNumberFmt(value, digits ?? 1) : numberFmt;
+  }
+};
+
+/** Convert a validated catalog entry into the runtime metric shape. */
+export const toMetric = (entry) => ({
+  ...entry,
+  fmt: resolveFormat(entry.format),
+  diffSuffix: entry.diffSuffix ?? (entry.format.type === "percent" ? "%" : ""),
+});
+
+/**
+ * Validate a parsed catalog.  Returns `{ metrics, derived, issues }` where
+ * `metrics` holds the valid entries (with formatters attached), `derived` the
+ * schema-valid formula entries (compiled later, once every field is known)
+ * and `issues` lists `{ path, message, field? }` for everything rejected.
+ */
+export const parseMetricCatalog = (json) => {
+  const issues = validateSchema(json, METRIC_CATALOG_SCHEMA);
+  if (!Array.isArray(json?.metrics)) return { metrics: [], derived: [], issues };
+
+  const metrics = [];
+  const seenFields = new Set();
+  const seenCodes = new Set();
+
+  json.metrics.forEach((entry, index) => {
+    const path = `metrics[${index}]`;
+    const field = typeof entry?.field === "string" ? entry.field : undefined;
+    const entryIssues = validateSchema(entry, METRIC_ENTRY_SCHEMA, path);
+
+    if (!entryIssues.length && seenFields.has(entry.field)) {
+      entryIssues.push({ path: `${path}.field`, message: `duplicates field "${entry.field}"` });
+    }
+    if (!entryIssues.length && seenCodes.has(entry.code)) {
+      entryIssues.push({ path: `${path}.code`, message: `duplicates indicator code "${entry.code}"` });
+    }
+
+    if (entryIssues.length) {
+      issues.push(...entryIssues.map((issue) => ({ ...issue, field })));
+      return;
+    }
+
+    seenFields.add(entry.field);
+    seenCodes.add(entry.code);
+    metrics.push(toMetric(entry));
+  });
+
+  const derived = [];
+  (Array.isArray(json.derived) ? json.derived : []).forEach((entry, index) => {
+    const path = `derived[${index}]`;
+    const field = typeof entry?.field === "string" ? entry.field : undefined;
+    const entryIssues = validateSchema(entry, DERIVED_METRIC_SCHEMA, path);
+
+    if (!entryIssues.length && seenFields.has(entry.field)) {
+      entryIssues.push({ path: `${path}.field`, message: `duplicates field "${entry.field}"` });
+    }
+
+    if (entryIssues.length) {
+      issues.push(...entryIssues.map((issue) => ({ ...issue, field })));
+      return;
+    }
+
+    seenFields.add(entry.field);
+    derived.push(entry);
+  });
+
+  return { metrics, derived, issues };
+};
+
+/** Fetch and validate the runtime catalog. */
+export const loadMetricCatalog = async ({ signal, url = METRIC_CATALOG_URL } = {}) =>
+  parseMetricCatalog(await fetchJsonWithRetry(url, { signal, retries: 1 }));
@@ -0,0 +1,55 @@
+import { DATASET_SCHEMA_VERSION } from "../lib/datasetCache";
+import { fetchJsonWithRetry } from "../lib/fetchUtils";
+
+/**
+ * Offline snapshot support.  `npm run snapshot` runs the live pipeline at build
+ * time and writes `public/data/snapshot.json`; the app falls back to it when
+ * the World Bank API cannot be reached and nothing is cached.
+ */
+
+/** Bump when the snapshot envelope changes. */
+export const SNAPSHOT_VERSION = 1;
+
+/** Location of the bundled snapshot relative to the app's base URL. */
+export const SNAPSHOT_URL = `${import.meta.env?.BASE_URL || "/"}data/snapshot.json`;
+
+/** Wrap merged rows in the versioned snapshot envelope. */
+export const createSnapshot = ({
+  rows,
+  aggregates = [],
+  metadata = {},
+  source,
+  fetchedAt = Date.now(),
+  failedIndicators = [],
+}) => ({
+  version: SNAPSHOT_VERSION,
+  schemaVersion: DATASET_SCHEMA_VERSION,
+  source,
+  fetchedAt,
+  failedIndicators,
+  metadata,
+  rows,
+  aggregates,
+});
+
+/** Validate a parsed snapshot file and return `{ rows, aggregates, metadata, fetchedAt }`. */
+export const parseSnapshot = (json) => {
+  if (json?.version !== SNAPSHOT_VERSION || json?.schemaVersion !== DATASET_SCHEMA_VERSION) {
+    throw new Error(
+      `Unsupported snapshot (version ${json?.version ?? "?"}/${json?.schemaVersion ?? "?"}); regenerate it with \`npm run snapshot\`.`
+    );
+  }
+  if (!Array.isArray(json.rows) || !Number.isFinite(json.fetchedAt)) {
+    throw new Error("Snapshot file is missing its rows or fetch date.");
+  }
+  return {
+    rows: json.rows,
+    aggregates: Array.isArray(json.aggregates) ? json.aggregates : [],
+    metadata: json.metadata || {},
+    fetchedAt: json.fetchedAt,
+  };
+};
+
+/** Fetch and validate the bundled snapshot. */
+export const loadSnapshot = async ({ signal, url = SNAPSHOT_URL } = {}) =>
+  parseSnapshot(await fetchJsonWithRetry(url, { signal, retries: 1 }));
@@ -0,0 +1,111 @@
+/**
+ * Parsers for raw World Bank API v2 payloads.  Shared by the live provider and
+ * the fixture provider so both feed identical structures into the row merger.
+ */
+
+/**
+ * The World Bank reports problems (unknown indicator, bad parameter…) as a
+ * 200 response shaped like `[{ message: [{ key, value }] }]`.  Turn those into
+ * real errors so they are not mistaken for an empty series.
+ */
+export const assertWorldBankPayload = (json) => {
+  if (Array.isArray(json) && json[0]?.message) {
+    const details = []
+      .concat(json[0].message)
+      .map((entry) => entry?.value || entry?.key)
+      .filter(Boolean);
+    throw new Error(`World Bank API error: ${details.join("; ") || "unknown error"}`);
+  }
+
+  if (!Array.isArray(json) || typeof json[0] !== "object" || json[0] === null) {
+    throw new Error("Unexpected World Bank API response.");
+  }
+};
+
+// `{ id, iso2code, value }` classification → `{ id, name }` (null when blank or "NA").
+const parseClassification = (entry) => {
+  const id = typeof entry?.id === "string" ? entry.id.trim() : "";
+  if (!id || id === "NA") return null;
+  return { id, name: (entry.value || id).trim() };
+};
+
+const parseCoordinate = (value) => {
+  if (value === "" || value == null) return null;
+  const numeric = Number(value);
+  return Number.isFinite(numeric) ? numeric : null;
+};
+
+/**
+ * Normalize `/v2/country` records.  Regional, income and world aggregates
+ * (region id "NA", e.g. WLD, SSF, HIC) are kept but flagged `aggregate: true`.
+ * The API reports the ISO-3 code as `id`; `iso3Code` is accepted as well.
+ *
+ * `profile` keeps the descriptive fields: `region`, `incomeLevel` and
+ * `lendingType` (`{ id, name }` or null), `capitalCity`, `longitude` and
+ * `latitude` (numbers or null).
+ */
+export const parseCountries = (records) =>
+  (records || [])
+    .map((country) => ({ ...country, iso3Code: country?.iso3Code ?? country?.id }))
+    .filter((country) => country?.iso3Code)
+    .map((country) => ({
+      iso3: country.iso3Code.toUpperCase(),
+      iso2: country.iso2Code ? country.iso2Code.toUpperCase() : null,
+      country: country.name,
+      aggregate: country.region?.id === "NA",
+      profile: {
+        region: parseClassification(country.region),
+        incomeLevel: parseClassification(country.incomeLevel),
+        lendingType: parseClassification(country.lendingType),
+        capitalCity: country.capitalCity?.trim() || null,
+        longitude: parseCoordinate(country.longitude),
+        latitude: parseCoordinate(country.latitude),
+      },
+    }));
+
+/**
+ * Index `/v2/country/all/indicator/{code}` records by ISO-3 as the latest
+ * non-null value (`latest`) and a `{ year: value }` series (`series`).
+ */
+export const parseIndicatorRecords = (records) => {
+  const rows = (records || []).filter((row) => row?.countryiso3code);
+
+  const latest = new Map();
+  const series = new Map();
+
+  for (const row of rows) {
+    const iso = String(row.countryiso3code).toUpperCase();
+    const valueRaw = row.value;
+    const year = parseInt(row.date, 10);
+
+    if (valueRaw == null || Number.isNaN(Number(valueRaw))) continue;
+
+    const value = typeof valueRaw === "string" ? Number(valueRaw) : valueRaw;
+
+    if (!series.has(iso)) series.set(iso, {});
+    const seriesForCountry = series.get(iso);
+    if (seriesForCountry[year] == null) seriesForCountry[year] = value;
+
+    const previous = latest.get(iso);
+    if (!previous || year > previous.year) latest.set(iso, { value, year });
+  }
+
+  return { latest, series };
+};
+
+/**
+ * Normalize `/v2/indicator` records into
+ * `{ code, name, unit, source, sourceNote, sourceOrganization, topics }`.
+ */
+export const parseIndicatorCatalog = (records) =>
+  (records || [])
+    .filter((record) => record?.id)
+    .map((record) => ({
+      code: String(record.id),
+      name: record.name || String(record.id),
+      unit: record.unit || "",
+      source: record.source?.value || "",
+      sourceNote: record.sourceNote || "",
+      sourceOrganization: record.sourceOrganization || "",
+      topics: (record.topics || []).map((topic) => topic?.value?.trim()).filter(Boolean),
+    }));
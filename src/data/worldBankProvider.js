@@ -0,0 +1,129 @@
+import { feature } from "topojson-client";
+
+import { fetchJsonWithRetry, isAbortError } from "../lib/fetchUtils";
+import { looksLikeIndicatorCode, searchIndicatorCatalog } from "./indicatorSearch";
+import {
+  assertWorldBankPayload,
+  parseCountries,
+  parseIndicatorCatalog,
+  parseIndicatorRecords,
+} from "./worldBankFormat";
+
+/** Public World Bank API v2 endpoint. */
+export const WORLD_BANK_API = "https://api.worldbank.org/v2";
+
+const PAGE_SIZE = 1000;
+
+/**
+ * Validate and normalize a GeoJSON payload into a FeatureCollection.
+ * TopoJSON topologies are decoded from their `countries` object (or the
+ * first object when there is none).
+ */
+export const toFeatureCollection = (geoJson) => {
+  if (geoJson?.type === "Topology") {
+    const object = geoJson.objects?.countries ?? Object.values(geoJson.objects || {})[0];
+    if (!object) throw new Error("TopoJSON response did not include any objects.");
+    return toFeatureCollection(feature(geoJson, object));
+  }
+
+  if (!Array.isArray(geoJson?.features)) {
+    throw new Error("GeoJSON response did not include a features array.");
+  }
+
+  return geoJson?.type === "FeatureCollection"
+    ? geoJson
+    : { type: "FeatureCollection", features: geoJson.features };
+};
+
+/**
+ * Data provider backed by the World Bank API.  `baseUrl` can point at a local
+ * stand-in server (see `scripts/mock-worldbank-server.js`) for offline work.
+ * Indicator search covers one catalog source (`indicatorSource`, default 2 =
+ * World Development Indicators), downloaded once and filtered locally.
+ *
+ * `boundariesUrl` is the base boundary file; `detailBoundaryUrls` maps finer
+ * resolutions (`"50m"`, `"10m"`) to GeoJSON or TopoJSON files.
+ */
+export const createWorldBankProvider = ({
+  baseUrl = WORLD_BANK_API,
+  boundariesUrl,
+  detailBoundaryUrls = {},
+  indicatorSource = "2",
+  fetchImpl = (...args) => fetch(...args),
+} = {}) => {
+  const root = baseUrl.replace(/\/+$/, "");
+  let indicatorCatalog = null;
+
+  // Fetch every page of a World Bank list endpoint and concatenate the records.
+  const fetchPages = async (path, { signal } = {}) => {
+    const pageUrl = (page) =>
+      `${root}${path}${path.includes("?") ? "&" : "?"}format=json&per_page=${PAGE_SIZE}&page=${page}`;
+    const options = { signal, fetchImpl, validate: assertWorldBankPayload };
+
+    const first = await fetchJsonWithRetry(pageUrl(1), options);
+    const records = [...(first[1] || [])];
+    const pages = Number(first[0]?.pages) || 1;
+
+    for (let page = 2; page <= pages; page += 1) {
+      const json = await fetchJsonWithRetry(pageUrl(page), options);
+      records.push(...(json[1] || []));
+    }
+
+    return records;
+  };
+
+  return {
+    name: "worldBank",
+
+    async listCountries({ signal } = {}) {
+      return parseCountries(await fetchPages("/country", { signal }));
+    },
+
+    async searchIndicators(query, { signal, limit = 50 } = {}) {
+      if (!indicatorCatalog) {
+        indicatorCatalog = fetchPages(`/indicator?source=${encodeURIComponent(indicatorSource)}`, { signal })
+          .then(parseIndicatorCatalog)
+          .catch((error) => {
+            indicatorCatalog = null;
+            throw error;
+          });
+      }
+
+      const matches = searchIndicatorCatalog(await indicatorCatalog, query, limit);
+      if (matches.length || !looksLikeIndicatorCode(query)) return matches;
+
+      // Codes from other sources are not in the downloaded catalog; look them up directly.
+      try {
+        return parseIndicatorCatalog(await fetchPages(`/indicator/${encodeURIComponent(query.trim())}`, { signal }));
+      } catch (error) {
+        if (isAbortError(error)) throw error;
+        return [];
+      }
+    },
+
+    async fetchIndicatorMetadata(code, { signal } = {}) {
+      const [metadata] = parseIndicatorCatalog(await fetchPages(`/indicator/${encodeURIComponent(code)}`, { signal }));
+      if (!metadata) throw new Error(`No metadata returned for indicator ${code}.`);
+      return metadata;
+    },
+
+    async fetchIndicator(code, { signal } = {}) {
+      const records = await fetchPages(`/country/all/indicator/${encodeURIComponent(code)}?MRV=10`, { signal });
+      return parseIndicatorRecords(records);
+    },
+
+    async loadBoundaries({ signal, resolution } = {}) {
+      const url = resolution ? detailBoundaryUrls[resolution] : boundariesUrl;
+      if (!url) throw new Error(resolution ? `No ${resolution} boundaries configured.` : "No boundaries URL configured.");
+
+      let geoJson;
+      try {
+        geoJson = await fetchJsonWithRetry(url, { signal, fetchImpl });
+      } catch (error) {
+        if (isAbortError(error)) throw error;
+        throw new Error(`Failed to load world boundaries (${error?.message || "unknown error"})`);
+      }
+      return toFeatureCollection(geoJson);
+    },
+  };
+};
@@ -0,0 +1,61 @@
+/**
+ * Year view: re-point each row's metric fields at a chosen year instead of
+ * the latest available value.  Rows keep their `__series`; the field value
+ * and its `__years` entry come from that year, or from the nearest year
+ * within the tolerance when the exact year is missing.  A field with no
+ * value in range is removed, so the map and table treat it as missing.
+ */
+
+const isValue = (value) => typeof value === "number" && Number.isFinite(value);
+
+/**
+ * `{ value, year }` for `year` in a `{ year: value }` series, falling back to
+ * the nearest year at most `tolerance` away (the earlier year wins a tie).
+ * Returns null when nothing is in range.
+ */
+export const valueNearYear = (series, year, tolerance = 0) => {
+  if (!series) return null;
+  for (let offset = 0; offset <= tolerance; offset += 1) {
+    for (const candidate of offset ? [year - offset, year + offset] : [year]) {
+      if (isValue(series[candidate])) return { value: series[candidate], year: candidate };
+    }
+  }
+  return null;
+};
+
+/** `[first, last]` year with a value for any of `fields` across `rows`, or null. */
+export const seriesYearBounds = (rows, fields) => {
+  let first = Infinity;
+  let last = -Infinity;
+  rows.forEach((row) =>
+    fields.forEach((field) =>
+      Object.entries(row.__series?.[field] || {}).forEach(([key, value]) => {
+        const year = Number(key);
+        if (!isValue(value) || !Number.isFinite(year)) return;
+        if (year < first) first = year;
+        if (year > last) last = year;
+      })
+    )
+  );
+  return first <= last ? [first, last] : null;
+};
+
+/** Rows with `fields` resolved at `year` (± `tolerance`); `year == null` returns the rows unchanged. */
+export const rowsAtYear = (rows, fields, year, tolerance = 0) => {
+  if (year == null) return rows;
+
+  return rows.map((row) => {
+    const next = { ...row, __years: { ...row.__years } };
+    fields.forEach((field) => {
+      const found = valueNearYear(row.__series?.[field], year, tolerance);
+      if (found) {
+        next[field] = found.value;
+        next.__years[field] = found.year;
+      } else {
+        delete next[field];
+        delete next.__years[field];
+      }
+    });
+    return next;
+  });
+};
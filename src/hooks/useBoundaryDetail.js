@@ -0,0 +1,66 @@
+import { useEffect, useRef, useState } from "react";
+
+import { BASE_BOUNDARY_LEVEL, BOUNDARY_LEVELS, boundaryLevelForZoom } from "../data/boundaryLevels";
+import { isAbortError } from "../lib/fetchUtils";
+
+/**
+ * Level-of-detail boundaries: returns the finest already-loaded boundary
+ * collection allowed at `zoom`, starting from the `base` collection.
+ *
+ * Crossing a level's zoom threshold fetches that level in the background;
+ * the coarser geometry stays on screen until it arrives, so selection and
+ * view state are never reset.  Zooming out while a level downloads lets it
+ * finish, so quick zooming in and out never restarts a download.  A level
+ * that fails to load is not retried this session and the map keeps the best
+ * level it has.
+ *
+ * Returns `{ collection, resolution, loading }`.
+ */
+export const useBoundaryDetail = (provider, base, zoom) => {
+  const [levels, setLevels] = useState({});
+  const [loading, setLoading] = useState(null);
+  const failedRef = useRef(new Set());
+  // In-flight requests by resolution.  They run to completion (and are cached)
+  // even when the zoom leaves their band, and are only aborted on unmount.
+  const pendingRef = useRef(new Map());
+  const target = boundaryLevelForZoom(zoom);
+
+  useEffect(() => {
+    const pending = pendingRef.current;
+    return () => {
+      pending.forEach((controller) => controller.abort());
+      pending.clear();
+    };
+  }, []);
+
+  useEffect(() => {
+    const { resolution } = target;
+    if (!base || resolution === BASE_BOUNDARY_LEVEL.resolution) return;
+    if (levels[resolution] || failedRef.current.has(resolution) || pendingRef.current.has(resolution)) return;
+
+    const controller = new AbortController();
+    pendingRef.current.set(resolution, controller);
+    setLoading(resolution);
+    provider
+      .loadBoundaries({ signal: controller.signal, resolution })
+      .then((collection) => {
+        if (collection.features.length > 0) setLevels((previous) => ({ ...previous, [resolution]: collection }));
+      })
+      .catch((error) => {
+        if (isAbortError(error)) return;
+        failedRef.current.add(resolution);
+        console.warn(`Falling back to coarser boundaries: ${error?.message || error}`);
+      })
+      .finally(() => {
+        if (pendingRef.current.get(resolution) === controller) pendingRef.current.delete(resolution);
+        setLoading((current) => (current === resolution ? null : current));
+      });
+  }, [base, levels, provider, target]);
+
+  if (!base) return { collection: null, resolution: null, loading };
+
+  // Finest loaded level the zoom allows; a coarser one stands in while the target loads.
+  const shown = BOUNDARY_LEVELS.filter((level) => zoom >= level.minZoom && levels[level.resolution]).pop();
+  const resolution = shown?.resolution ?? BASE_BOUNDARY_LEVEL.resolution;
+  return { collection: levels[resolution] || base, resolution, loading };
+};
@@ -17,6 +17,7 @@ export const useBoundedZoomPan = ({
   onMoveEnd,
   disablePanning = false,
   disableZooming = false,
+  dragMode = "pan",
   width = 0,
   height = 0,
   projection,
@@ -149,6 +150,16 @@ export const useBoundedZoomPan = ({
 
       setPosition((current) => {
         if (!pointerOrigin.current) return current;
+        if (dragMode === "rotate") {
+          // The caller rotates its projection by the drag distance; the group itself stays put.
+          const next = {
+            ...current,
+            dragging: true,
+            dragDelta: [pointerPosition.x - pointerOrigin.current.x, pointerPosition.y - pointerOrigin.current.y],
+          };
+          if (onMove) onMove(event, next);
+          return next;
+        }
         const raw = {
           ...current,
           x: current.last[0] + (pointerPosition.x - pointerOrigin.current.x),
@@ -167,7 +178,7 @@ export const useBoundedZoomPan = ({
         return next;
       });
     },
-    [clampPosition, getPointFromEvent, onMove]
+    [clampPosition, dragMode, getPointFromEvent, onMove]
   );
 
   const handlePointerUp = useCallback(
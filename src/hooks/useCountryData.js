@@ -0,0 +1,299 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+
+import { loadDataset, loadIndicatorMetadata, mergeIndicatorBundle } from "../data";
+import { loadSnapshot } from "../data/snapshot";
+import { readCachedDataset, writeCachedDataset } from "../lib/datasetCache";
+import { isAbortError } from "../lib/fetchUtils";
+
+// Cached data is served instantly and revalidated in the background once it is
+// older than one day.
+const DAY_MS = 24 * 60 * 60 * 1000;
+const REVALIDATE_CHECK_MS = 60 * 60 * 1000;
+
+/**
+ * Load the country dataset through a data provider with stale-while-revalidate
+ * caching.  Nothing is fetched until `metrics` is non-null (the catalog is
+ * loaded at runtime).  Metrics added later (e.g. user-added indicators) that
+ * have no data yet are fetched individually and merged into the rows.
+ *
+ * When the live fetch fails and nothing is cached, the bundled offline snapshot
+ * (`public/data/snapshot.json`) is used instead and `status` becomes "snapshot".
+ *
+ * Returns the merged country `rows`, `aggregates` (region, income-group and
+ * World rows, which have no map shape), the boundary `featureCollection`, indicator
+ * `metadata` keyed by code (cached alongside the rows), an overall `status`
+ * ("loading" | "cached" | "refreshing" | "fresh" | "snapshot" | "error"), the
+ * last `error`, per-indicator `indicatorStatus`, `progress`
+ * (`{ settled, total }`), `retryIndicator(field)` to re-fetch a single
+ * indicator and `removeField(field)` to drop a field from the dataset.
+ */
+export const useCountryData = (provider, metrics) => {
+  const [rows, setRows] = useState([]);
+  const [aggregates, setAggregates] = useState([]);
+  const [featureCollection, setFeatureCollection] = useState(null);
+  const [error, setError] = useState("");
+  const [lastRefreshed, setLastRefreshed] = useState(null);
+  const [status, setStatus] = useState("loading");
+  const [indicatorStatus, setIndicatorStatus] = useState({});
+  const [metadata, setMetadata] = useState({});
+
+  const controllerRef = useRef(null);
+  // Where the rows on screen came from: "cache", "live" or "snapshot".
+  const sourceRef = useRef(null);
+  const rowsRef = useRef(rows);
+  useEffect(() => {
+    rowsRef.current = rows;
+  }, [rows]);
+  const aggregatesRef = useRef(aggregates);
+  useEffect(() => {
+    aggregatesRef.current = aggregates;
+  }, [aggregates]);
+  const metadataRef = useRef(metadata);
+  useEffect(() => {
+    metadataRef.current = metadata;
+  }, [metadata]);
+  const metricsRef = useRef(metrics);
+  useEffect(() => {
+    metricsRef.current = metrics;
+  }, [metrics]);
+  const requestedRef = useRef(new Set());
+  const metadataRequestedRef = useRef(new Set());
+  const ready = metrics != null;
+
+  const updateIndicatorStatus = useCallback((field, state) => {
+    setIndicatorStatus((previous) => ({ ...previous, [field]: state }));
+  }, []);
+
+  // Re-save the dataset on screen after a partial update (never over a snapshot).
+  const persist = useCallback(
+    (changes) => {
+      if (!lastRefreshed || sourceRef.current === "snapshot") return undefined;
+      return writeCachedDataset({
+        rows: rowsRef.current,
+        aggregates: aggregatesRef.current,
+        metadata: metadataRef.current,
+        fetchedAt: lastRefreshed,
+        ...changes,
+      });
+    },
+    [lastRefreshed]
+  );
+
+  const refresh = useCallback(async () => {
+    const metrics = metricsRef.current;
+    if (!metrics) return false;
+    const signal = controllerRef.current?.signal;
+    setError("");
+    setStatus(rowsRef.current.length ? "refreshing" : "loading");
+
+    try {
+      const result = await loadDataset(provider, metrics, {
+        signal,
+        previousRows: rowsRef.current,
+        previousAggregates: aggregatesRef.current,
+        previousMetadata: metadataRef.current,
+        onIndicatorStatus: updateIndicatorStatus,
+      });
+
+      if (result.featureCollection.features.length > 0) setFeatureCollection(result.featureCollection);
+      setRows(result.rows);
+      setAggregates(result.aggregates);
+      setMetadata(result.metadata);
+      sourceRef.current = "live";
+
+      const now = Date.now();
+      setLastRefreshed(now);
+      setStatus("fresh");
+      await writeCachedDataset({
+        rows: result.rows,
+        aggregates: result.aggregates,
+        metadata: result.metadata,
+        fetchedAt: now,
+      });
+      return true;
+    } catch (error) {
+      if (isAbortError(error) || signal?.aborted) return false;
+      setError(error?.message || "Failed to fetch live data");
+
+      if (rowsRef.current.length) {
+        setStatus(sourceRef.current === "snapshot" ? "snapshot" : "cached");
+        return false;
+      }
+
+      try {
+        const snapshot = await loadSnapshot({ signal });
+        sourceRef.current = "snapshot";
+        setRows(snapshot.rows);
+        setAggregates(snapshot.aggregates);
+        setMetadata(snapshot.metadata);
+        setLastRefreshed(snapshot.fetchedAt);
+        setStatus("snapshot");
+      } catch (snapshotError) {
+        if (!isAbortError(snapshotError)) console.warn("Offline snapshot unavailable", snapshotError);
+        setStatus("error");
+      }
+      return false;
+    }
+  }, [provider, updateIndicatorStatus]);
+
+  const retryIndicator = useCallback(
+    async (field) => {
+      const metric = metricsRef.current?.find((entry) => entry.field === field);
+      if (!metric) return;
+
+      const signal = controllerRef.current?.signal;
+      updateIndicatorStatus(field, { status: "loading" });
+
+      try {
+        const bundle = await provider.fetchIndicator(metric.code, { signal });
+        const merged = mergeIndicatorBundle(rowsRef.current, field, bundle);
+        const mergedAggregates = mergeIndicatorBundle(aggregatesRef.current, field, bundle);
+
+        setRows(merged);
+        setAggregates(mergedAggregates);
+        updateIndicatorStatus(field, { status: "ok" });
+        await persist({ rows: merged, aggregates: mergedAggregates });
+      } catch (error) {
+        if (isAbortError(error) || signal?.aborted) return;
+        updateIndicatorStatus(field, { status: "error", error: error?.message || "Request failed" });
+      }
+    },
+    [provider, persist, updateIndicatorStatus]
+  );
+
+  const removeField = useCallback(
+    (field) => {
+      const strip = (list) =>
+        list.map((row) => {
+          if (!(field in row) && !row.__series?.[field]) return row;
+          const next = { ...row, __years: { ...row.__years }, __series: { ...row.__series } };
+          delete next[field];
+          delete next.__years[field];
+          delete next.__series[field];
+          return next;
+        });
+      const stripped = strip(rowsRef.current);
+      const strippedAggregates = strip(aggregatesRef.current);
+
+      setRows(stripped);
+      setAggregates(strippedAggregates);
+      setIndicatorStatus((previous) => {
+        const next = { ...previous };
+        delete next[field];
+        return next;
+      });
+      requestedRef.current.delete(field);
+      persist({ rows: stripped, aggregates: strippedAggregates });
+    },
+    [persist]
+  );
+
+  // --- Stale-while-revalidate: render from IndexedDB, refetch once the TTL expires ---
+  useEffect(() => {
+    if (!ready) return undefined;
+
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    let cancelled = false;
+    let fetchedAt = null;
+    let inFlight = false;
+
+    const revalidateIfStale = async () => {
+      if (inFlight || (fetchedAt && Date.now() - fetchedAt <= DAY_MS)) return;
+      inFlight = true;
+      if (await refresh()) fetchedAt = Date.now();
+      inFlight = false;
+    };
+
+    (async () => {
+      const cached = await readCachedDataset();
+      if (cancelled) return;
+
+      if (cached) {
+        fetchedAt = cached.fetchedAt;
+        sourceRef.current = "cache";
+        setRows(cached.rows);
+        setAggregates(cached.aggregates || []);
+        setMetadata(cached.metadata || {});
+        setLastRefreshed(cached.fetchedAt);
+        setStatus("cached");
+      }
+
+      provider
+        .loadBoundaries({ signal: controller.signal })
+        .then((collection) => {
+          if (!cancelled && collection.features.length > 0) setFeatureCollection(collection);
+        })
+        .catch((error) => {
+          if (!cancelled && !isAbortError(error)) setError(error?.message || "Failed to load world boundaries");
+        });
+
+      revalidateIfStale();
+    })();
+
+    const id = setInterval(revalidateIfStale, REVALIDATE_CHECK_MS);
+    return () => {
+      cancelled = true;
+      clearInterval(id);
+      controller.abort();
+    };
+  }, [provider, ready, refresh]);
+
+  // Fetch metrics that joined after the dataset loaded (once per session each).
+  useEffect(() => {
+    if (!metrics || !rows.length || status === "loading" || status === "refreshing") return;
+
+    metrics.forEach((metric) => {
+      if (indicatorStatus[metric.field] || requestedRef.current.has(metric.field)) return;
+      if (rows.some((row) => row.__series?.[metric.field])) return;
+      requestedRef.current.add(metric.field);
+      retryIndicator(metric.field);
+    });
+  }, [metrics, rows, status, indicatorStatus, retryIndicator]);
+
+  // Fetch metadata missing from the cache/snapshot or for newly added
+  // indicators (once per session per code).
+  useEffect(() => {
+    if (!metrics || !rows.length || status === "loading" || status === "refreshing") return;
+
+    const codes = metrics
+      .map((metric) => metric.code)
+      .filter((code) => code && !metadata[code] && !metadataRequestedRef.current.has(code));
+    if (!codes.length) return;
+
+    codes.forEach((code) => metadataRequestedRef.current.add(code));
+    const signal = controllerRef.current?.signal;
+    loadIndicatorMetadata(provider, codes, { signal })
+      .then((fetched) => {
+        if (!Object.keys(fetched).length) return;
+        setMetadata((previous) => ({ ...previous, ...fetched }));
+        persist({ metadata: { ...metadataRef.current, ...fetched } });
+      })
+      .catch((error) => {
+        if (!isAbortError(error)) console.warn("Unable to load indicator metadata", error);
+      });
+  }, [provider, metrics, rows, status, metadata, persist]);
+
+  const progress = useMemo(() => {
+    const states = Object.values(indicatorStatus);
+    return {
+      total: states.length,
+      settled: states.filter((state) => state.status !== "loading").length,
+    };
+  }, [indicatorStatus]);
+
+  return {
+    rows,
+    aggregates,
+    featureCollection,
+    metadata,
+    error,
+    status,
+    loading: status === "loading" || status === "refreshing",
+    lastRefreshed,
+    indicatorStatus,
+    progress,
+    retryIndicator,
+    removeField,
+  };
+};
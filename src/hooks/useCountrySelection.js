@@ -0,0 +1,51 @@
+import { useCallback, useMemo, useRef, useState } from "react";
+
+/**
+ * Ordered selection of up to `maxSize` countries for the comparison.  Codes
+ * keep their slot (and so their color) until removed, and a new code takes
+ * the lowest free slot; selecting a new code when the list is full replaces
+ * the one selected longest ago.  `slots` lists `{ code, slot }` in slot order.  One selected
+ * code is the baseline that differences are measured from (the first slot
+ * unless another is chosen).
+ */
+export const useCountrySelection = (maxSize) => {
+  // `[{ code, slot, order }]` in slot order; `slot` is the index the code keeps
+  // until removed and `order` increases with every selection.
+  const [entries, setEntries] = useState([]);
+  const [baselineChoice, setBaselineChoice] = useState(null);
+  const orderRef = useRef(0);
+
+  const slots = useMemo(() => entries.map(({ code, slot }) => ({ code, slot })), [entries]);
+  const codes = useMemo(() => entries.map((entry) => entry.code), [entries]);
+  const baseline = codes.includes(baselineChoice) ? baselineChoice : codes[0] ?? null;
+
+  const select = useCallback(
+    (code) => {
+      if (!code) return;
+      const iso = code.toUpperCase();
+      orderRef.current += 1;
+      const order = orderRef.current;
+
+      setEntries((previous) => {
+        if (previous.some((item) => item.code === iso)) return previous;
+        if (previous.length < maxSize) {
+          // Fill the lowest slot left free by a removal.
+          let slot = 0;
+          while (previous.some((item) => item.slot === slot)) slot += 1;
+          return [...previous, { code: iso, slot, order }].sort((a, b) => a.slot - b.slot);
+        }
+        const oldest = previous.reduce((best, item, index) => (item.order < previous[best].order ? index : best), 0);
+        return previous.map((item, index) => (index === oldest ? { code: iso, slot: item.slot, order } : item));
+      });
+    },
+    [maxSize]
+  );
+
+  const remove = useCallback((code) => {
+    setEntries((previous) => previous.filter((item) => item.code !== code));
+  }, []);
+
+  const clear = useCallback(() => setEntries([]), []);
+
+  return { codes, slots, baseline, select, remove, clear, setBaseline: setBaselineChoice };
+};
@@ -0,0 +1,41 @@
+import { useCallback, useMemo, useState } from "react";
+
+import { readCustomIndicators, toCustomEntry, writeCustomIndicators } from "../data/customIndicators";
+import { METRIC_CATALOG_VERSION, parseMetricCatalog } from "../data/metricCatalog";
+
+/**
+ * User-added World Bank indicators, persisted in localStorage.
+ *
+ * Returns `{ metrics, issues, addIndicator(indicator), removeIndicator(field) }`
+ * where `metrics` are ready to append to the catalog metrics.
+ */
+export const useCustomIndicators = () => {
+  const [initial] = useState(readCustomIndicators);
+  const [entries, setEntries] = useState(initial.entries);
+
+  const metrics = useMemo(
+    () => parseMetricCatalog({ version: METRIC_CATALOG_VERSION, metrics: entries }).metrics,
+    [entries]
+  );
+
+  const addIndicator = useCallback((indicator) => {
+    const entry = toCustomEntry(indicator);
+    setEntries((previous) => {
+      if (previous.some((existing) => existing.field === entry.field)) return previous;
+      const next = [...previous, entry];
+      writeCustomIndicators(next);
+      return next;
+    });
+    return entry.field;
+  }, []);
+
+  const removeIndicator = useCallback((field) => {
+    setEntries((previous) => {
+      const next = previous.filter((entry) => entry.field !== field);
+      writeCustomIndicators(next);
+      return next;
+    });
+  }, []);
+
+  return { metrics, issues: initial.issues, addIndicator, removeIndicator };
+};
@@ -0,0 +1,36 @@
+import { useCallback, useState } from "react";
+
+import { readUserDerivedMetrics, writeUserDerivedMetrics } from "../data/derivedMetrics";
+
+/**
+ * Derived metrics defined in the app, persisted in localStorage.
+ *
+ * Returns `{ entries, issues, saveDerivedMetric(entry), removeDerivedMetric(field) }`.
+ * Entries are raw catalog-style objects; compile them with
+ * `compileDerivedMetrics` once the fields they reference are known.
+ */
+export const useDerivedMetrics = () => {
+  const [initial] = useState(readUserDerivedMetrics);
+  const [entries, setEntries] = useState(initial.entries);
+
+  const saveDerivedMetric = useCallback((entry) => {
+    setEntries((previous) => {
+      const exists = previous.some((existing) => existing.field === entry.field);
+      const next = exists
+        ? previous.map((existing) => (existing.field === entry.field ? entry : existing))
+        : [...previous, entry];
+      writeUserDerivedMetrics(next);
+      return next;
+    });
+  }, []);
+
+  const removeDerivedMetric = useCallback((field) => {
+    setEntries((previous) => {
+      const next = previous.filter((entry) => entry.field !== field);
+      writeUserDerivedMetrics(next);
+      return next;
+    });
+  }, []);
+
+  return { entries, issues: initial.issues, saveDerivedMetric, removeDerivedMetric };
+};
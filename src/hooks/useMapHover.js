@@ -0,0 +1,27 @@
+import { useSyncExternalStore } from "react";
+
+/**
+ * Hovered-country store for the map tooltip.  Geographies write the hovered
+ * ISO-3 code to it from their mouse handlers and only the tooltip subscribes, so moving the
+ * pointer across the map re-renders the tooltip instead of the whole map.
+ */
+export const createHoverStore = () => {
+  let current = null;
+  const listeners = new Set();
+
+  return {
+    get: () => current,
+    set: (next) => {
+      if (next === current) return;
+      current = next;
+      listeners.forEach((listener) => listener());
+    },
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+};
+
+/** ISO-3 code of the hovered country (or null) of a store from `createHoverStore`. */
+export const useMapHover = (store) => useSyncExternalStore(store.subscribe, store.get, store.get);
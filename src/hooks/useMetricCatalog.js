@@ -0,0 +1,46 @@
+import { useEffect, useState } from "react";
+
+import { loadMetricCatalog } from "../data/metricCatalog";
+import { isAbortError } from "../lib/fetchUtils";
+
+const EMPTY_METRICS = [];
+const EMPTY_DERIVED = [];
+
+const reportIssues = (issues) => {
+  if (!issues.length) return;
+  console.group(`Metric catalog: ${issues.length} issue(s) — affected entries were skipped`);
+  issues.forEach((issue) => console.warn(`${issue.path} ${issue.message}`));
+  console.groupEnd();
+};
+
+/**
+ * Load the runtime metric catalog (`public/data/metrics.json`).
+ *
+ * Returns `{ metrics, derived, issues, status }` where `derived` holds the
+ * raw formula entries and `status` is "loading", "ready" or "error".
+ * Validation problems are logged to the console and returned as `issues` so
+ * the UI can surface them.
+ */
+export const useMetricCatalog = () => {
+  const [state, setState] = useState({ metrics: EMPTY_METRICS, derived: EMPTY_DERIVED, issues: [], status: "loading" });
+
+  useEffect(() => {
+    const controller = new AbortController();
+
+    loadMetricCatalog({ signal: controller.signal })
+      .then(({ metrics, derived, issues }) => {
+        reportIssues(issues);
+        setState({ metrics, derived, issues, status: "ready" });
+      })
+      .catch((error) => {
+        if (isAbortError(error)) return;
+        const issues = [{ path: "metrics.json", message: `could not be loaded (${error?.message || error})` }];
+        reportIssues(issues);
+        setState({ metrics: EMPTY_METRICS, derived: EMPTY_DERIVED, issues, status: "error" });
+      });
+
+    return () => controller.abort();
+  }, []);
+
+  return state;
+};
@@ -0,0 +1,43 @@
+import { useCallback, useEffect, useState } from "react";
+
+/**
+ * Year playback for the map.  While playing, `year` advances by one every
+ * `intervalMs` until it reaches the last year in `bounds`, then playback
+ * stops.  Playing from "latest" (`year == null`) or from the last year
+ * starts over at the first year.  Only `setYear` is called per frame, so
+ * each step is one state update for the whole app.
+ */
+export const usePlayback = ({ bounds, year, setYear, intervalMs }) => {
+  const [playing, setPlaying] = useState(false);
+  const [first, last] = bounds || [null, null];
+
+  useEffect(() => {
+    if (!playing) return undefined;
+    if (year == null || year >= last) {
+      setPlaying(false);
+      return undefined;
+    }
+    const timer = setTimeout(() => setYear(year + 1), intervalMs);
+    return () => clearTimeout(timer);
+  }, [intervalMs, last, playing, setYear, year]);
+
+  const play = useCallback(() => {
+    if (first == null) return;
+    if (year == null || year >= last) setYear(first);
+    setPlaying(true);
+  }, [first, last, setYear, year]);
+
+  const pause = useCallback(() => setPlaying(false), []);
+
+  const step = useCallback(
+    (delta) => {
+      if (first == null) return;
+      setPlaying(false);
+      const from = year ?? (delta > 0 ? first - 1 : last + 1);
+      setYear(Math.min(last, Math.max(first, from + delta)));
+    },
+    [first, last, setYear, year]
+  );
+
+  return { playing, play, pause, step };
+};
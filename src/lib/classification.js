@@ -0,0 +1,152 @@
+/**
+ * Choropleth classification.  Classed schemes turn the sorted values of the
+ * color metric into ascending thresholds (`classes - 1` of them; a value
+ * above `thresholds[i]` falls into class `i + 1`).  Continuous schemes map
+ * values onto a ramp between a `[min, max]` domain instead.
+ */
+export const CLASSIFICATION_SCHEMES = {
+  quantile: { label: "Quantile" },
+  jenks: { label: "Natural breaks (Jenks)" },
+  equalInterval: { label: "Equal interval" },
+  log: { label: "Logarithmic" },
+  stdDev: { label: "Standard deviation" },
+  custom: { label: "Custom breaks" },
+  linear: { label: "Linear (min–max)", continuous: true },
+  clampedLinear: { label: "Linear (2nd–98th percentile)", continuous: true },
+};
+
+export const MIN_CLASSES = 3;
+export const MAX_CLASSES = 9;
+export const DEFAULT_CLASSES = 5;
+
+/** Percentiles the clamped linear ramp spans; values beyond them take the end colors. */
+export const CLAMP_PERCENTILES = [0.02, 0.98];
+
+/** Linearly interpolated quantile of an ascending array (`p` in [0, 1]). */
+export const quantileOf = (sorted, p) => {
+  const index = (sorted.length - 1) * p;
+  const lo = Math.floor(index);
+  const hi = Math.ceil(index);
+  if (lo === hi) return sorted[lo];
+  const t = index - lo;
+  return sorted[lo] * (1 - t) + sorted[hi] * t;
+};
+
+const range = (count, map) => Array.from({ length: count }, (_, index) => map(index + 1));
+
+/**
+ * Jenks natural breaks (Fisher's exact optimisation): split the ascending
+ * values into classes that minimise the within-class sum of squared
+ * deviations.  Returns the largest value of each class but the last.
+ */
+const jenksBreaks = (sorted, classes) => {
+  const n = sorted.length;
+  const lower = Array.from({ length: n + 1 }, () => new Array(classes + 1).fill(0));
+  const cost = Array.from({ length: n + 1 }, () => new Array(classes + 1).fill(Infinity));
+  for (let j = 1; j <= classes; j += 1) {
+    lower[1][j] = 1;
+    cost[1][j] = 0;
+  }
+
+  for (let l = 2; l <= n; l += 1) {
+    let sum = 0;
+    let sumSquares = 0;
+    let variance = 0;
+    for (let m = 1; m <= l; m += 1) {
+      const start = l - m + 1;
+      const value = sorted[start - 1];
+      sum += value;
+      sumSquares += value * value;
+      variance = sumSquares - (sum * sum) / m;
+      if (start === 1) continue;
+      for (let j = 2; j <= classes; j += 1) {
+        if (cost[l][j] >= variance + cost[start - 1][j - 1]) {
+          lower[l][j] = start;
+          cost[l][j] = variance + cost[start - 1][j - 1];
+        }
+      }
+    }
+    lower[l][1] = 1;
+    cost[l][1] = variance;
+  }
+
+  const breaks = [];
+  let end = n;
+  for (let j = classes; j >= 2; j -= 1) {
+    const start = lower[end][j];
+    breaks.unshift(sorted[start - 2]);
+    end = start - 1;
+  }
+  return breaks;
+};
+
+/**
+ * Thresholds for a classed scheme.  `sorted` must be ascending and finite;
+ * `customBreaks` is used by the "custom" scheme (its length sets the class
+ * count).  Returns `[]` when there are too few values to classify.
+ */
+export const classBreaks = (sorted, scheme, classes, { customBreaks = [] } = {}) => {
+  if (scheme === "custom") return customBreaks;
+  if (sorted.length < 2) return [];
+
+  const min = sorted[0];
+  const max = sorted[sorted.length - 1];
+
+  switch (scheme) {
+    case "jenks": {
+      const distinct = new Set(sorted).size;
+      return distinct <= classes ? [...new Set(sorted)].slice(0, -1) : jenksBreaks(sorted, classes);
+    }
+    case "equalInterval":
+      return range(classes - 1, (i) => min + ((max - min) * i) / classes);
+    case "log": {
+      // Log10 equal intervals over the positive values; zero and negatives land in the first class.
+      const positive = sorted.filter((value) => value > 0);
+      if (positive.length < 2) return range(classes - 1, (i) => min + ((max - min) * i) / classes);
+      const logMin = Math.log10(positive[0]);
+      const logMax = Math.log10(positive[positive.length - 1]);
+      return range(classes - 1, (i) => 10 ** (logMin + ((logMax - logMin) * i) / classes));
+    }
+    case "stdDev": {
+      // One-standard-deviation classes centred on the mean (an odd count puts the mean mid-class).
+      const mean = sorted.reduce((total, value) => total + value, 0) / sorted.length;
+      const sd = Math.sqrt(sorted.reduce((total, value) => total + (value - mean) ** 2, 0) / sorted.length);
+      return range(classes - 1, (i) => mean + sd * (i - classes / 2));
+    }
+    case "quantile":
+    default:
+      return range(classes - 1, (i) => quantileOf(sorted, i / classes));
+  }
+};
+
+/** Index of the class a value falls into, given ascending thresholds. */
+export const classIndex = (value, thresholds) => {
+  let index = 0;
+  while (index < thresholds.length && value > thresholds[index]) index += 1;
+  return index;
+};
+
+/**
+ * Parse user-entered breakpoints ("1000, 5000, 20000").  Returns
+ * `{ breaks, error }`; breaks are sorted and de-duplicated and must yield
+ * between `MIN_CLASSES` and `MAX_CLASSES` classes.
+ */
+export const parseCustomBreaks = (text) => {
+  const parts = String(text || "")
+    .split(/[,;\s]+/)
+    .filter(Boolean);
+  if (!parts.length) return { breaks: [], error: "Enter breakpoints separated by commas." };
+
+  const values = parts.map(Number);
+  const invalid = parts.find((_, index) => !Number.isFinite(values[index]));
+  if (invalid != null) return { breaks: [], error: `“${invalid}” is not a number.` };
+
+  const breaks = [...new Set(values)].sort((a, b) => a - b);
+  if (breaks.length + 1 < MIN_CLASSES || breaks.length + 1 > MAX_CLASSES) {
+    return {
+      breaks: [],
+      error: `Enter ${MIN_CLASSES - 1} to ${MAX_CLASSES - 1} breakpoints (${MIN_CLASSES}–${MAX_CLASSES} classes).`,
+    };
+  }
+  return { breaks, error: "" };
+};
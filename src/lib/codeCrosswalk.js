@@ -0,0 +1,137 @@
+/**
+ * Crosswalk between Natural Earth boundary codes and World Bank country codes.
+ *
+ * Natural Earth spreads a country's code over several properties and marks
+ * gaps with "-99" (France and Norway have `ISO_A3: "-99"` but valid
+ * `ISO_A3_EH`/`ADM0_A3`), and a few entities use codes of their own (Kosovo
+ * is `KOS`/`KSV`, the World Bank uses `XKX`).  Every candidate property is
+ * tried in order, each value is passed through `CODE_ALIASES`, and — when
+ * the World Bank codes are known — the first candidate the World Bank
+ * actually lists wins.
+ */
+
+/** Shape properties that may hold an ISO-3-like code, most authoritative first. */
+export const ISO3_CANDIDATE_PROPERTIES = [
+  "ISO_A3",
+  "iso_a3",
+  "ISO_A3_EH",
+  "iso_a3_eh",
+  "WB_A3",
+  "wb_a3",
+  "ADM0_A3",
+  "adm0_a3",
+  "ADM0_A3_WB",
+  "SU_A3",
+  "GU_A3",
+  "BRK_A3",
+  "ISO3",
+  "iso3",
+];
+
+/** Shape properties that may hold an ISO-2 code, most authoritative first. */
+export const ISO2_CANDIDATE_PROPERTIES = ["ISO_A2", "iso_a2", "ISO_A2_EH", "iso_a2_eh", "WB_A2", "wb_a2"];
+
+/**
+ * Natural Earth (or legacy World Bank) code → World Bank API code, for
+ * entities whose codes differ between the two sources.
+ */
+export const CODE_ALIASES = {
+  KOS: "XKX", // Kosovo (Natural Earth ADM0_A3)
+  KSV: "XKX", // Kosovo (Natural Earth WB_A3)
+  PSX: "PSE", // Palestine → West Bank and Gaza
+  WBG: "PSE",
+  SDS: "SSD", // South Sudan (Natural Earth ADM0_A3)
+  SAH: "ESH", // Western Sahara (Natural Earth ADM0_A3)
+  ROM: "ROU", // Romania (legacy World Bank code)
+  ZAR: "COD", // DR Congo (legacy World Bank code)
+  TMP: "TLS", // Timor-Leste (legacy World Bank code)
+};
+
+const ISO3_PATTERN = /^[A-Z]{3}$/;
+const ISO2_PATTERN = /^[A-Z]{2}$/;
+
+const normalize = (value, pattern) => {
+  if (value == null) return null;
+  const code = String(value).trim().toUpperCase();
+  return pattern.test(code) ? code : null;
+};
+
+/**
+ * All usable ISO-3 candidates on a shape, in property order and after
+ * aliasing: `[{ property, raw, code }]` ("-99" and malformed values skipped).
+ */
+export const shapeCodeCandidates = (props) => {
+  const candidates = [];
+  for (const property of ISO3_CANDIDATE_PROPERTIES) {
+    const raw = normalize(props?.[property], ISO3_PATTERN);
+    if (!raw) continue;
+    candidates.push({ property, raw, code: CODE_ALIASES[raw] || raw });
+  }
+  return candidates;
+};
+
+/**
+ * Resolve a shape's country code.  With `knownCodes` (a Set of World Bank
+ * codes) the first candidate the World Bank lists is preferred; otherwise —
+ * or when none match — the first usable candidate is returned.
+ *
+ * Returns `{ code, property, matched }` or `null` when the shape carries no
+ * usable code at all.
+ */
+export const resolveShapeCode = (props, knownCodes) => {
+  const candidates = shapeCodeCandidates(props);
+  if (!candidates.length) return null;
+
+  const known = knownCodes ? candidates.find((candidate) => knownCodes.has(candidate.code)) : null;
+  const chosen = known || candidates[0];
+  return { code: chosen.code, property: chosen.property, matched: Boolean(known) };
+};
+
+/** First usable ISO-2 code on a shape (skipping "-99" placeholders), or `null`. */
+export const resolveShapeIso2 = (props) => {
+  for (const property of ISO2_CANDIDATE_PROPERTIES) {
+    const code = normalize(props?.[property], ISO2_PATTERN);
+    if (code) return code;
+  }
+  return null;
+};
+
+/**
+ * Match boundary features against World Bank economies (aggregates excluded)
+ * and report what is left over.
+ *
+ * Returns `{ matchedCount, byProperty, unmatchedShapes, unmatchedEntities }`:
+ * `byProperty` counts which property produced each match (`{ ISO_A3: 160,
+ * ISO_A3_EH: 2, … }`), `unmatchedShapes` lists `{ name, candidates }` for
+ * shapes with no World Bank counterpart and `unmatchedEntities` lists
+ * `{ iso3, country }` for economies without a shape.
+ */
+export const reconcileCodes = ({ features = [], countries = [], getName = () => "" }) => {
+  const economies = countries.filter((country) => !country.aggregate);
+  const knownCodes = new Set(economies.map((country) => country.iso3));
+  const shapeCodes = new Set();
+  const byProperty = {};
+  const unmatchedShapes = [];
+
+  for (const feature of features) {
+    const resolved = resolveShapeCode(feature?.properties, knownCodes);
+    if (resolved?.matched) {
+      shapeCodes.add(resolved.code);
+      byProperty[resolved.property] = (byProperty[resolved.property] || 0) + 1;
+    } else {
+      unmatchedShapes.push({
+        name: getName(feature?.properties) || "(unnamed shape)",
+        candidates: shapeCodeCandidates(feature?.properties).map((candidate) =>
+          candidate.code === candidate.raw ? `${candidate.property}=${candidate.raw}` : `${candidate.property}=${candidate.raw}→${candidate.code}`
+        ),
+      });
+    }
+  }
+
+  const unmatchedEntities = economies
+    .filter((country) => !shapeCodes.has(country.iso3))
+    .map((country) => ({ iso3: country.iso3, country: country.country }))
+    .sort((a, b) => a.country.localeCompare(b.country));
+
+  return { matchedCount: shapeCodes.size, byProperty, unmatchedShapes, unmatchedEntities };
+};
@@ -0,0 +1,78 @@
+/**
+ * Tiny IndexedDB wrapper used to persist the merged World Bank dataset between
+ * visits.  Every record is stamped with a schema version so that a change in the
+ * row shape simply invalidates older caches instead of feeding stale structures
+ * into the UI.
+ */
+
+const DB_NAME = "country-comparison";
+const DB_VERSION = 1;
+const STORE_NAME = "datasets";
+
+/** Bump whenever the persisted row shape changes (fields, __years, __series…). */
+export const DATASET_SCHEMA_VERSION = 3;
+
+/** Key under which the merged World Bank rows are stored. */
+export const DATASET_KEY = "worldBank";
+
+const hasIndexedDb = () => typeof indexedDB !== "undefined";
+
+const openDatabase = () =>
+  new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORE_NAME)) db.createObjectStore(STORE_NAME);
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => reject(new Error("IndexedDB open request was blocked."));
+  });
+
+const runTransaction = async (mode, operation) => {
+  const db = await openDatabase();
+  try {
+    return await new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, mode);
+      const request = operation(transaction.objectStore(STORE_NAME));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  } finally {
+    db.close();
+  }
+};
+
+/**
+ * Read the cached dataset.  Resolves to `null` when nothing is stored, the
+ * record was written by an older schema, or IndexedDB is unavailable.
+ */
+export const readCachedDataset = async (key = DATASET_KEY) => {
+  if (!hasIndexedDb()) return null;
+
+  try {
+    const record = await runTransaction("readonly", (store) => store.get(key));
+    if (!record || record.schemaVersion !== DATASET_SCHEMA_VERSION) return null;
+    if (!Array.isArray(record.rows) || !Number.isFinite(record.fetchedAt)) return null;
+    return record;
+  } catch (error) {
+    console.warn("Unable to read cached dataset", error);
+    return null;
+  }
+};
+
+/** Persist a dataset (`{ rows, fetchedAt, ... }`).  Failures are logged, not thrown. */
+export const writeCachedDataset = async (dataset, key = DATASET_KEY) => {
+  if (!hasIndexedDb()) return false;
+
+  try {
+    await runTransaction("readwrite", (store) =>
+      store.put({ ...dataset, schemaVersion: DATASET_SCHEMA_VERSION }, key)
+    );
+    return true;
+  } catch (error) {
+    console.warn("Unable to write cached dataset", error);
+    return false;
+  }
+};
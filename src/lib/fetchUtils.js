@@ -0,0 +1,115 @@
+/**
+ * Network helpers shared by the data-loading code: JSON fetching with retries
+ * and exponential backoff, abort-aware sleeping, and a bounded-concurrency map.
+ */
+
+/** Error raised for non-2xx HTTP responses.  `retryable` drives the backoff loop. */
+export class HttpError extends Error {
+  constructor(status, statusText, url) {
+    super(`Request failed with status ${status}${statusText ? ` ${statusText}` : ""}.`);
+    this.name = "HttpError";
+    this.status = status;
+    this.url = url;
+    this.retryable = status === 408 || status === 429 || status >= 500;
+  }
+}
+
+/** True when the error was caused by an AbortController firing. */
+export const isAbortError = (error) => error?.name === "AbortError";
+
+const abortError = () => {
+  try {
+    return new DOMException("The operation was aborted.", "AbortError");
+  } catch {
+    const error = new Error("The operation was aborted.");
+    error.name = "AbortError";
+    return error;
+  }
+};
+
+/** Resolve after `ms` milliseconds, rejecting early if `signal` aborts. */
+export const sleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(abortError());
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+
+/**
+ * Fetch and parse JSON, retrying transient failures (network errors, 408/429,
+ * 5xx) with exponential backoff plus jitter.  `validate` may throw to reject a
+ * payload; errors it throws are retried only when they set `retryable: true`.
+ */
+export const fetchJsonWithRetry = async (
+  url,
+  { signal, retries = 3, baseDelayMs = 500, maxDelayMs = 8000, validate, fetchImpl = fetch } = {}
+) => {
+  let attempt = 0;
+
+  for (;;) {
+    try {
+      const response = await fetchImpl(url, { signal });
+      if (!response.ok) throw new HttpError(response.status, response.statusText, url);
+
+      const json = await response.json();
+      if (validate) validate(json);
+      return json;
+    } catch (error) {
+      if (isAbortError(error) || signal?.aborted) throw error;
+
+      // Network failures surface as TypeErrors from fetch(); JSON parse errors
+      // as SyntaxErrors (usually a truncated body or an HTML error page).
+      const retryable =
+        error instanceof TypeError || error instanceof SyntaxError || error?.retryable === true;
+      if (!retryable || attempt >= retries) throw error;
+
+      const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+      attempt += 1;
+      await sleep(delay / 2 + Math.random() * (delay / 2), signal);
+    }
+  }
+};
+
+/**
+ * Run `worker(item, index)` over `items` with at most `limit` tasks in flight.
+ * Never rejects for individual failures: resolves to an array of
+ * `Promise.allSettled`-style results in input order.  Aborting `signal` stops
+ * new tasks from starting.
+ */
+export const mapWithConcurrency = async (items, limit, worker, { signal } = {}) => {
+  const results = new Array(items.length);
+  let cursor = 0;
+
+  const runNext = async () => {
+    while (cursor < items.length) {
+      const index = cursor;
+      cursor += 1;
+
+      if (signal?.aborted) {
+        results[index] = { status: "rejected", reason: abortError() };
+        continue;
+      }
+
+      try {
+        results[index] = { status: "fulfilled", value: await worker(items[index], index) };
+      } catch (reason) {
+        results[index] = { status: "rejected", reason };
+      }
+    }
+  };
+
+  const lanes = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: lanes }, runNext));
+  return results;
+};
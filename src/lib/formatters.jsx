@@ -1,4 +1,5 @@
 import React from "react";
+import { DEFAULT_POLARITY } from "./polarity";
 
 /**
  * Human friendly number formatter used for big magnitudes (thousands, millions…).
@@ -85,9 +86,11 @@ export const fmtTime = (timestamp) => {
 
 /**
  * Small component that renders the absolute + percentage difference between
- * two numeric values (used in the comparison table).
+ * two numeric values (used in the comparison table).  The color follows the
+ * metric's polarity: green when `b` is better than `a`, red when worse, and
+ * neutral gray when the metric has no better direction.
  */
-export const DiffCell = ({ a, b, suffix = "" }) => {
+export const DiffCell = ({ a, b, suffix = "", polarity = DEFAULT_POLARITY }) => {
   if (a == null || b == null || a === "" || b === "") return <span>—</span>;
 
   const diff = b - a;
@@ -95,8 +98,13 @@ export const DiffCell = ({ a, b, suffix = "" }) => {
   const sign = diff > 0 ? "+" : diff < 0 ? "" : "";
   const abs = Math.abs(diff);
   const display = abs >= 1000 ? numberFmt(abs) : smallNumberFmt(abs, 1);
+  const better = relAB(b, a, polarity);
   const trendClass =
-    diff > 0 ? "text-emerald-600" : diff < 0 ? "text-rose-600" : "text-slate-500";
+    polarity === "neutral" || better === "tie"
+      ? "text-slate-500"
+      : better === "A"
+      ? "text-emerald-600"
+      : "text-rose-600";
 
   return (
     <div className="text-sm text-right">
@@ -110,8 +118,13 @@ export const DiffCell = ({ a, b, suffix = "" }) => {
   );
 };
 
-/** Determine whether country A or B has the larger numeric value. */
-export const relAB = (a, b) => {
+/**
+ * Determine whether value A or B is the better one for a metric's polarity:
+ * the larger for "higher", the smaller for "lower".  "neutral" metrics (the
+ * default) have no better value, so the larger one is reported as for
+ * "higher" and callers show it as direction only.
+ */
+export const relAB = (a, b, polarity = DEFAULT_POLARITY) => {
   if (a == null || a === "" || b == null || b === "") return "na";
 
   const an = Number(a);
@@ -119,6 +132,8 @@ export const relAB = (a, b) => {
   if (!Number.isFinite(an) || !Number.isFinite(bn)) return "na";
 
   if (an === bn) return "tie";
-  return an > bn ? "A" : "B";
+  const larger = an > bn ? "A" : "B";
+  if (polarity !== "lower") return larger;
+  return larger === "A" ? "B" : "A";
 };
 
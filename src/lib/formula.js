@@ -0,0 +1,231 @@
+/**
+ * Tiny arithmetic expression language for derived metrics.  Formulas are
+ * tokenized and parsed into an AST that is walked by a plain interpreter — no
+ * `eval`/`Function`, no property access — so a formula can only combine the
+ * values it is handed.
+ *
+ * Supported: numbers (`1`, `2.5`, `1e6`), metric fields (`population`),
+ * `+ - * / ^`, unary minus, parentheses and the functions in `FUNCTIONS`.
+ * Missing inputs and non-finite results (division by zero, `sqrt(-1)`)
+ * evaluate to `null` rather than `NaN`/`Infinity`.
+ */
+
+export class FormulaError extends Error {
+  constructor(message, position) {
+    super(position == null ? message : `${message} (at character ${position + 1})`);
+    this.name = "FormulaError";
+    this.position = position;
+  }
+}
+
+const FUNCTIONS = Object.assign(Object.create(null), {
+  abs: { arity: [1, 1], apply: Math.abs },
+  sqrt: { arity: [1, 1], apply: Math.sqrt },
+  ln: { arity: [1, 1], apply: Math.log },
+  log10: { arity: [1, 1], apply: Math.log10 },
+  exp: { arity: [1, 1], apply: Math.exp },
+  round: {
+    arity: [1, 2],
+    apply: (value, digits = 0) => Math.round(value * 10 ** digits) / 10 ** digits,
+  },
+  min: { arity: [1, Infinity], apply: Math.min },
+  max: { arity: [1, Infinity], apply: Math.max },
+});
+
+/** Names of the built-in functions, for help text. */
+export const FORMULA_FUNCTIONS = Object.keys(FUNCTIONS);
+
+const tokenize = (source) => {
+  const tokens = [];
+  const pattern = /\s*(?:(\d+(?:\.\d*)?(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)|([A-Za-z_][A-Za-z0-9_]*)|([-+*/^(),]))/y;
+  let index = 0;
+
+  while (index < source.length) {
+    if (/^\s*$/.test(source.slice(index))) break;
+
+    pattern.lastIndex = index;
+    const match = pattern.exec(source);
+    if (!match) {
+      const position = index + (source.slice(index).length - source.slice(index).trimStart().length);
+      throw new FormulaError(`Unexpected character "${source[position]}"`, position);
+    }
+
+    const position = match.index + match[0].length - (match[1] || match[2] || match[3]).length;
+    if (match[1] !== undefined) tokens.push({ type: "number", value: Number(match[1]), position });
+    else if (match[2] !== undefined) tokens.push({ type: "name", value: match[2], position });
+    else tokens.push({ type: "op", value: match[3], position });
+    index = pattern.lastIndex;
+  }
+
+  tokens.push({ type: "end", position: source.length });
+  return tokens;
+};
+
+/**
+ * Recursive-descent parser.  Precedence, lowest first: `+ -`, `* /`, unary
+ * `-`, `^` (right-associative, so `-2^2` is `-(2^2)` and `2^3^2` is `2^9`).
+ */
+const parse = (source) => {
+  const tokens = tokenize(source);
+  let current = 0;
+
+  const peek = () => tokens[current];
+  const isOp = (value) => peek().type === "op" && peek().value === value;
+  const expect = (value) => {
+    if (!isOp(value)) throw new FormulaError(`Expected "${value}"`, peek().position);
+    current += 1;
+  };
+
+  const parseExpression = () => {
+    let node = parseTerm();
+    while (isOp("+") || isOp("-")) {
+      const op = tokens[current++].value;
+      node = { type: "binary", op, left: node, right: parseTerm() };
+    }
+    return node;
+  };
+
+  const parseTerm = () => {
+    let node = parseUnary();
+    while (isOp("*") || isOp("/")) {
+      const op = tokens[current++].value;
+      node = { type: "binary", op, left: node, right: parseUnary() };
+    }
+    return node;
+  };
+
+  const parseUnary = () => {
+    if (isOp("-") || isOp("+")) {
+      const op = tokens[current++].value;
+      const argument = parseUnary();
+      return op === "-" ? { type: "negate", argument } : argument;
+    }
+    return parsePower();
+  };
+
+  const parsePower = () => {
+    const base = parsePrimary();
+    if (!isOp("^")) return base;
+    current += 1;
+    return { type: "binary", op: "^", left: base, right: parseUnary() };
+  };
+
+  const parsePrimary = () => {
+    const token = peek();
+
+    if (token.type === "number") {
+      current += 1;
+      return { type: "number", value: token.value };
+    }
+
+    if (token.type === "name") {
+      current += 1;
+      if (!isOp("(")) return { type: "field", name: token.value, position: token.position };
+
+      const fn = FUNCTIONS[token.value];
+      if (!fn) throw new FormulaError(`Unknown function "${token.value}"`, token.position);
+      current += 1;
+
+      const args = [];
+      if (!isOp(")")) {
+        args.push(parseExpression());
+        while (isOp(",")) {
+          current += 1;
+          args.push(parseExpression());
+        }
+      }
+      expect(")");
+
+      const [minArgs, maxArgs] = fn.arity;
+      if (args.length < minArgs || args.length > maxArgs) {
+        const expected = minArgs === maxArgs ? `${minArgs}` : maxArgs === Infinity ? `at least ${minArgs}` : `${minArgs}–${maxArgs}`;
+        throw new FormulaError(`${token.value}() takes ${expected} argument(s)`, token.position);
+      }
+      return { type: "call", name: token.value, args };
+    }
+
+    if (isOp("(")) {
+      current += 1;
+      const node = parseExpression();
+      expect(")");
+      return node;
+    }
+
+    throw new FormulaError(token.type === "end" ? "Unexpected end of formula" : `Unexpected "${token.value}"`, token.position);
+  };
+
+  if (peek().type === "end") throw new FormulaError("Formula is empty");
+  const ast = parseExpression();
+  if (peek().type !== "end") throw new FormulaError(`Unexpected "${peek().value}"`, peek().position);
+  return ast;
+};
+
+const collectFields = (node, fields = new Set()) => {
+  if (node.type === "field") fields.add(node.name);
+  else if (node.type === "negate") collectFields(node.argument, fields);
+  else if (node.type === "binary") {
+    collectFields(node.left, fields);
+    collectFields(node.right, fields);
+  } else if (node.type === "call") node.args.forEach((arg) => collectFields(arg, fields));
+  return fields;
+};
+
+const finiteOrNull = (value) => (typeof value === "number" && Number.isFinite(value) ? value : null);
+
+const evaluateNode = (node, lookup) => {
+  switch (node.type) {
+    case "number":
+      return node.value;
+    case "field":
+      return finiteOrNull(lookup(node.name));
+    case "negate": {
+      const value = evaluateNode(node.argument, lookup);
+      return value == null ? null : -value;
+    }
+    case "binary": {
+      const left = evaluateNode(node.left, lookup);
+      const right = evaluateNode(node.right, lookup);
+      if (left == null || right == null) return null;
+      if (node.op === "+") return finiteOrNull(left + right);
+      if (node.op === "-") return finiteOrNull(left - right);
+      if (node.op === "*") return finiteOrNull(left * right);
+      if (node.op === "/") return right === 0 ? null : finiteOrNull(left / right);
+      return finiteOrNull(left ** right);
+    }
+    case "call": {
+      const args = node.args.map((arg) => evaluateNode(arg, lookup));
+      if (args.some((value) => value == null)) return null;
+      return finiteOrNull(FUNCTIONS[node.name].apply(...args));
+    }
+    default:
+      return null;
+  }
+};
+
+/**
+ * Compile `source` once and evaluate it many times.  Pass `fields` (an
+ * iterable of allowed names) to reject unknown identifiers up front.
+ *
+ * Returns `{ source, fields, evaluate(lookup) }` where `fields` lists the
+ * referenced names and `lookup(name)` supplies their values.  Throws
+ * `FormulaError` with the offending position on syntax errors.
+ */
+export const compileFormula = (source, { fields: allowed } = {}) => {
+  const text = String(source ?? "");
+  const ast = parse(text);
+  const fields = [...collectFields(ast)];
+
+  if (allowed) {
+    const known = new Set(allowed);
+    const unknown = fields.filter((name) => !known.has(name));
+    if (unknown.length) {
+      throw new FormulaError(`Unknown metric${unknown.length === 1 ? "" : "s"}: ${unknown.join(", ")}`);
+    }
+  }
+
+  return {
+    source: text,
+    fields,
+    evaluate: (lookup) => evaluateNode(ast, lookup),
+  };
+};
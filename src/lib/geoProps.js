@@ -0,0 +1,23 @@
+import { resolveShapeCode, resolveShapeIso2 } from "./codeCrosswalk";
+
+/**
+ * Accessors for Natural Earth feature properties.  The boundary files are not
+ * completely consistent about property casing, so each helper checks several
+ * candidate names.
+ */
+
+/**
+ * Safely extract an ISO-3 country code from a GeoJSON properties object via
+ * the code crosswalk: every candidate property is tried ("-99" placeholders
+ * are skipped) and aliases such as Kosovo `KOS` → `XKX` are applied.  Pass
+ * the World Bank codes as `knownCodes` to prefer a candidate they contain.
+ * Returns `null` if the shape carries no usable code.
+ */
+export const getIso3 = (props, knownCodes) => resolveShapeCode(props, knownCodes)?.code ?? null;
+
+/** Friendly display name used for hover tooltips and the selection list. */
+export const getNameProp = (props) =>
+  props?.NAME ?? props?.name ?? props?.NAME_LONG ?? props?.name_long ?? props?.ADMIN ?? "";
+
+/** Extract an ISO-2 country code from GeoJSON properties when available. */
+export const getIso2 = (props) => resolveShapeIso2(props);
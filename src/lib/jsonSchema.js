@@ -0,0 +1,108 @@
+/**
+ * Minimal JSON Schema validator covering the subset of keywords used by the
+ * app's config files: `type`, `enum`, `const`, `required`, `properties`,
+ * `additionalProperties`, `items`, `minItems`, `pattern`, `minLength`,
+ * `minimum`, `maximum` and `oneOf` (optionally with an OpenAPI-style
+ * `discriminator` property name to pick the branch by its `const` value).
+ *
+ * Returns a list of `{ path, message }` issues (empty when valid).  Paths use
+ * JavaScript-style notation, e.g. `metrics[3].format.type`.
+ */
+
+const typeOf = (value) => {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number") return Number.isInteger(value) ? "integer" : "number";
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  const actual = typeOf(value);
+  return actual === type || (type === "number" && actual === "integer");
+};
+
+const joinPath = (path, key) =>
+  typeof key === "number" ? `${path}[${key}]` : path ? `${path}.${key}` : key;
+
+export const validateSchema = (value, schema, path = "") => {
+  const issues = [];
+  const fail = (message) => issues.push({ path: path || "(root)", message });
+
+  if (schema.oneOf && schema.discriminator && typeOf(value) === "object") {
+    const key = schema.discriminator;
+    const branch = schema.oneOf.find((option) => option.properties?.[key]?.const === value[key]);
+    if (branch) return validateSchema(value, branch, path);
+
+    const allowed = schema.oneOf.map((option) => JSON.stringify(option.properties?.[key]?.const));
+    issues.push({ path: joinPath(path, key), message: `must be one of ${allowed.join(", ")}` });
+    return issues;
+  }
+
+  if (schema.oneOf) {
+    const matching = schema.oneOf.filter((option) => validateSchema(value, option, path).length === 0);
+    if (matching.length !== 1) {
+      // Report the closest option's problems so the message stays actionable.
+      const attempts = schema.oneOf.map((option) => validateSchema(value, option, path));
+      const closest = attempts.reduce((best, attempt) => (attempt.length < best.length ? attempt : best));
+      if (matching.length === 0) issues.push(...closest);
+      else fail("matches more than one allowed shape");
+    }
+    return issues;
+  }
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some((type) => matchesType(value, type))) {
+      fail(`must be ${types.join(" or ")} (got ${typeOf(value)})`);
+      return issues;
+    }
+  }
+
+  if (Object.hasOwn(schema, "const") && value !== schema.const) {
+    fail(`must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of ${schema.enum.map((option) => JSON.stringify(option)).join(", ")}`);
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength != null && value.length < schema.minLength) {
+      fail(schema.minLength === 1 ? "must not be empty" : `must have at least ${schema.minLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail(`must match ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum != null && value < schema.minimum) fail(`must be ≥ ${schema.minimum}`);
+    if (schema.maximum != null && value > schema.maximum) fail(`must be ≤ ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems != null && value.length < schema.minItems) {
+      fail(`must contain at least ${schema.minItems} item(s)`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => issues.push(...validateSchema(item, schema.items, joinPath(path, index))));
+    }
+  }
+
+  if (typeOf(value) === "object") {
+    for (const key of schema.required || []) {
+      if (!Object.hasOwn(value, key)) issues.push({ path: joinPath(path, key), message: "is required" });
+    }
+
+    for (const [key, child] of Object.entries(value)) {
+      const childSchema = schema.properties?.[key];
+      if (childSchema) {
+        issues.push(...validateSchema(child, childSchema, joinPath(path, key)));
+      } else if (schema.additionalProperties === false) {
+        issues.push({ path: joinPath(path, key), message: "is not a recognized property" });
+      }
+    }
+  }
+
+  return issues;
+};
@@ -0,0 +1,171 @@
+/**
+ * Choropleth palettes.  Sequential palettes run light → dark for low → high
+ * values; diverging palettes put a neutral color at a midpoint (0 unless the
+ * metric or the user says otherwise) so the sign of a value stays visible;
+ * categorical palettes give each class a distinct hue.  Colors come from
+ * ColorBrewer, matplotlib (viridis, cividis), Okabe–Ito and Tableau.
+ */
+
+/** Map a [0, 1] number to a blue-ish color on a white-to-deep gradient. */
+export const whiteBlue = (t) => {
+  const clamped = Math.max(0, Math.min(1, Number.isFinite(t) ? t : 0));
+  const lightness = Math.round(98 - 40 * clamped);
+  return `hsl(210, 70%, ${lightness}%)`;
+};
+
+/** Generate `n` color stops using the gradient above. */
+export const whiteBluePalette = (n) =>
+  Array.from({ length: n }, (_, index) => whiteBlue(n === 1 ? 1 : index / (n - 1)));
+
+export const PALETTES = {
+  blues: { label: "Blues", type: "sequential", colorblindSafe: true, interpolate: whiteBlue },
+  greens: {
+    label: "Greens",
+    type: "sequential",
+    colorblindSafe: true,
+    colors: ["#f7fcf5", "#e5f5e0", "#c7e9c0", "#a1d99b", "#74c476", "#41ab5d", "#238b45", "#006d2c", "#00441b"],
+  },
+  ylOrRd: {
+    label: "Yellow–orange–red",
+    type: "sequential",
+    colorblindSafe: true,
+    colors: ["#ffffcc", "#ffeda0", "#fed976", "#feb24c", "#fd8d3c", "#fc4e2a", "#e31a1c", "#bd0026", "#800026"],
+  },
+  viridis: {
+    label: "Viridis",
+    type: "sequential",
+    colorblindSafe: true,
+    colors: ["#fde725", "#b5de2b", "#6ece58", "#35b779", "#1f9e89", "#26828e", "#31688e", "#3e4989", "#482878", "#440154"],
+  },
+  cividis: {
+    label: "Cividis",
+    type: "sequential",
+    colorblindSafe: true,
+    colors: ["#ffea46", "#cbba69", "#958f78", "#666970", "#31446b", "#00204d"],
+  },
+  rdBu: {
+    label: "Red–blue",
+    type: "diverging",
+    colorblindSafe: true,
+    colors: ["#b2182b", "#d6604d", "#f4a582", "#fddbc7", "#f7f7f7", "#d1e5f0", "#92c5de", "#4393c3", "#2166ac"],
+  },
+  puOr: {
+    label: "Orange–purple",
+    type: "diverging",
+    colorblindSafe: true,
+    colors: ["#b35806", "#e08214", "#fdb863", "#fee0b6", "#f7f7f7", "#d8daeb", "#b2abd2", "#8073ac", "#542788"],
+  },
+  rdYlGn: {
+    label: "Red–yellow–green",
+    type: "diverging",
+    colorblindSafe: false,
+    colors: ["#d73027", "#f46d43", "#fdae61", "#fee08b", "#ffffbf", "#d9ef8b", "#a6d96a", "#66bd63", "#1a9850"],
+  },
+  okabeIto: {
+    label: "Okabe–Ito",
+    type: "categorical",
+    colorblindSafe: true,
+    colors: ["#E69F00", "#56B4E9", "#009E73", "#F0E442", "#0072B2", "#D55E00", "#CC79A7", "#999999", "#000000"],
+  },
+  tableau10: {
+    label: "Tableau 10",
+    type: "categorical",
+    colorblindSafe: false,
+    colors: ["#4e79a7", "#f28e2b", "#e15759", "#76b7b2", "#59a14f", "#edc948", "#b07aa1", "#ff9da7", "#9c755f", "#bab0ac"],
+  },
+};
+
+export const DEFAULT_PALETTE = "blues";
+export const DEFAULT_MIDPOINT = 0;
+
+export const PALETTE_TYPES = { sequential: "Sequential", diverging: "Diverging", categorical: "Categorical" };
+
+const parseHex = (hex) => [1, 3, 5].map((offset) => parseInt(hex.slice(offset, offset + 2), 16));
+const toHex = (channels) => `#${channels.map((value) => Math.round(value).toString(16).padStart(2, "0")).join("")}`;
+
+/** `(t) => color` for t in [0, 1], interpolating the palette's stops in RGB. */
+export const paletteRamp = (id) => {
+  const palette = PALETTES[id] || PALETTES[DEFAULT_PALETTE];
+  if (palette.interpolate) return palette.interpolate;
+
+  const stops = palette.colors.map(parseHex);
+  return (t) => {
+    const clamped = Math.max(0, Math.min(1, Number.isFinite(t) ? t : 0));
+    const position = clamped * (stops.length - 1);
+    const lo = Math.floor(position);
+    const hi = Math.min(lo + 1, stops.length - 1);
+    const mix = position - lo;
+    return toHex(stops[lo].map((channel, index) => channel + (stops[hi][index] - channel) * mix));
+  };
+};
+
+/**
+ * Position of a value on a diverging ramp: the midpoint maps to 0.5 and the
+ * value farthest from it (within `[min, max]`) to 0 or 1, so equal distances
+ * on either side get equally strong colors.
+ */
+const divergingPosition = (value, { min, max, midpoint }) => {
+  const spread = Math.max(Math.abs(min - midpoint), Math.abs(max - midpoint));
+  if (!spread) return 0.5;
+  return 0.5 + (0.5 * (value - midpoint)) / spread;
+};
+
+/**
+ * Color for a value on a continuous `[min, max]` domain.  Categorical
+ * palettes step through their colors instead of blending them.
+ */
+export const continuousColor = (id, value, { min, max, midpoint = DEFAULT_MIDPOINT }) => {
+  const palette = PALETTES[id] || PALETTES[DEFAULT_PALETTE];
+  if (palette.type === "diverging") return paletteRamp(id)(divergingPosition(value, { min, max, midpoint }));
+
+  const t = max === min ? 0 : (value - min) / (max - min);
+  if (palette.type === "categorical") {
+    const index = Math.round(Math.max(0, Math.min(1, t)) * (palette.colors.length - 1));
+    return palette.colors[index];
+  }
+  return paletteRamp(id)(t);
+};
+
+/**
+ * One color per class for ascending `thresholds` over values spanning
+ * `[min, max]`.  Sequential palettes are sampled evenly; diverging palettes
+ * color each class by where its middle falls relative to the midpoint;
+ * categorical palettes hand out their colors in order.
+ */
+export const classColors = (id, thresholds, { min, max, midpoint = DEFAULT_MIDPOINT }) => {
+  const palette = PALETTES[id] || PALETTES[DEFAULT_PALETTE];
+  const count = thresholds.length + 1;
+
+  if (palette.type === "categorical") {
+    return Array.from({ length: count }, (_, index) => palette.colors[index % palette.colors.length]);
+  }
+  if (palette.type === "diverging") {
+    const bounds = [Math.min(min, thresholds[0] ?? min), ...thresholds, Math.max(max, thresholds.at(-1) ?? max)];
+    const ramp = paletteRamp(id);
+    return Array.from({ length: count }, (_, index) =>
+      ramp(divergingPosition((bounds[index] + bounds[index + 1]) / 2, { min: bounds[0], max: bounds.at(-1), midpoint }))
+    );
+  }
+
+  const ramp = paletteRamp(id);
+  return Array.from({ length: count }, (_, index) => ramp(count === 1 ? 1 : index / (count - 1)));
+};
+
+/** CSS gradient of the continuous ramp over `[min, max]`, for the legend. */
+export const paletteGradient = (id, domain, steps = 9) =>
+  `linear-gradient(to right, ${Array.from({ length: steps }, (_, index) =>
+    continuousColor(id, domain.min + ((domain.max - domain.min) * index) / (steps - 1), domain)
+  ).join(", ")})`;
+
+export const BIVARIATE_CLASSES = 3;
+
+/**
+ * 3×3 bivariate palette (Joshua Stevens' pink–blue), indexed
+ * `[yClass][xClass]`: the first metric runs left → right (gray → red), the
+ * second bottom → top (gray → blue), and high–high is the dark corner.
+ */
+export const BIVARIATE_PALETTE = [
+  ["#e8e8e8", "#e4acac", "#c85a5a"],
+  ["#b0d5df", "#ad9ea5", "#985356"],
+  ["#64acbe", "#627f8c", "#574249"],
+];
@@ -0,0 +1,8 @@
+/**
+ * Which way is better for a metric: `higher`, `lower`, or `neutral`
+ * (direction only, no value judgment).  Metrics without one are treated as
+ * neutral.  Kept apart from the catalog so the formatters can share the
+ * default without importing the catalog.
+ */
+export const METRIC_POLARITIES = ["higher", "lower", "neutral"];
+export const DEFAULT_POLARITY = "neutral";
@@ -0,0 +1,46 @@
+import { geoEqualEarth, geoMercator, geoNaturalEarth1, geoOrthographic } from "d3-geo";
+import { geoRobinson, geoWinkel3 } from "d3-geo-projection";
+
+/**
+ * Map projections offered by the projection selector.  Flat projections are
+ * fitted to the boundaries and panned by translation; `globe` projections
+ * are fitted to the sphere and panned by rotating the projection so the map
+ * center sits in the middle of the view.
+ */
+export const MAP_PROJECTIONS = {
+  equalEarth: { label: "Equal Earth", create: geoEqualEarth },
+  naturalEarth: { label: "Natural Earth", create: geoNaturalEarth1 },
+  robinson: { label: "Robinson", create: geoRobinson },
+  winkel3: { label: "Winkel tripel", create: geoWinkel3 },
+  mercator: { label: "Mercator", create: geoMercator },
+  orthographic: { label: "Globe (orthographic)", create: geoOrthographic, globe: true },
+};
+
+export const DEFAULT_PROJECTION = "equalEarth";
+
+/** Latitude limit for globe rotation; keeps the poles from flipping the view. */
+export const GLOBE_MAX_LATITUDE = 80;
+
+const STORAGE_KEY = "wb:mapProjection";
+
+/** Projection id saved by the selector, or the default when unset or unknown. */
+export const readStoredProjection = () => {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    if (stored && Object.hasOwn(MAP_PROJECTIONS, stored)) return stored;
+  } catch {
+    // Ignore localStorage access failures (e.g., Safari private mode).
+  }
+  return DEFAULT_PROJECTION;
+};
+
+export const writeStoredProjection = (id) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, id);
+  } catch {
+    // Ignore localStorage access failures (e.g., Safari private mode).
+  }
+};
+
+/** Wrap a longitude into [-180, 180). */
+export const wrapLongitude = (lon) => ((((lon + 180) % 360) + 360) % 360) - 180;
@@ -0,0 +1,36 @@
+/**
+ * Proportional symbols: circles whose area, not radius, is proportional to
+ * the value, so a country with twice the population gets twice the ink.
+ * Radii are in screen pixels; the map divides them by the zoom level so the
+ * size legend stays valid at every zoom.
+ */
+
+/** Radius (px) of the circle for the largest mapped value. */
+export const MAX_SYMBOL_RADIUS = 28;
+
+/** Circles smaller than this are still drawn at this radius so they stay visible. */
+export const MIN_SYMBOL_RADIUS = 1.5;
+
+/** Radius for `value` on a sqrt scale where `max` maps to `MAX_SYMBOL_RADIUS`. */
+export const symbolRadius = (value, max) => {
+  if (!(value > 0) || !(max > 0)) return 0;
+  return Math.max(MIN_SYMBOL_RADIUS, MAX_SYMBOL_RADIUS * Math.sqrt(value / max));
+};
+
+/** Largest 1, 2 or 5 × 10^k not above `value`. */
+const niceFloor = (value) => {
+  const power = 10 ** Math.floor(Math.log10(value));
+  const step = [5, 2, 1].find((multiple) => multiple * power <= value);
+  return step * power;
+};
+
+/**
+ * Round values for the nested-circle legend, largest first: a nice value
+ * near the maximum and two that are roughly a quarter and a sixteenth of it
+ * (half and a quarter of its radius).
+ */
+export const symbolLegendValues = (max) => {
+  if (!(max > 0)) return [];
+  const top = niceFloor(max);
+  return [...new Set([top, niceFloor(top / 4), niceFloor(top / 16)])];
+};
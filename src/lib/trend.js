@@ -0,0 +1,63 @@
+/**
+ * Helpers for the comparison table's time-series charts.  A series is the
+ * `{ year: value }` object stored in `row.__series[field]`; charts plot every
+ * year any selected country reports and leave a gap where one has no value.
+ */
+
+const isValue = (value) => typeof value === "number" && Number.isFinite(value);
+
+/** Ascending years reported by any of the series. */
+export const seriesYears = (seriesList) => {
+  const years = new Set();
+  seriesList.forEach((series) =>
+    Object.entries(series || {}).forEach(([year, value]) => {
+      if (isValue(value)) years.add(Number(year));
+    })
+  );
+  return [...years].filter(Number.isFinite).sort((a, b) => a - b);
+};
+
+/** `[min, max]` over all values of the series (`null` when there are none). */
+export const seriesExtent = (seriesList) => {
+  const values = seriesList.flatMap((series) => Object.values(series || {}).filter(isValue));
+  if (!values.length) return null;
+  return [Math.min(...values), Math.max(...values)];
+};
+
+/**
+ * SVG path for one series over the consecutive `years`, broken into separate
+ * segments wherever a year is missing so gaps stay visible.  `x(year)` and
+ * `y(value)` map to chart coordinates.
+ */
+export const seriesPath = (series, years, x, y) => {
+  let path = "";
+  let drawing = false;
+  for (let year = years[0]; year <= years[years.length - 1]; year += 1) {
+    const value = series?.[year];
+    if (!isValue(value)) {
+      drawing = false;
+      continue;
+    }
+    path += `${drawing ? "L" : "M"}${x(year).toFixed(1)},${y(value).toFixed(1)}`;
+    drawing = true;
+  }
+  return path;
+};
+
+/** Years of a series with no reported neighbour, which a path alone would not show. */
+export const isolatedYears = (series, years) =>
+  years.filter((year) => isValue(series?.[year]) && !isValue(series?.[year - 1]) && !isValue(series?.[year + 1]));
+
+/** About `count` round tick values (1, 2 or 5 × 10^k steps) covering `[min, max]`. */
+export const niceTicks = (min, max, count = 4) => {
+  if (!(max > min)) return [min];
+  const rough = (max - min) / count;
+  const power = 10 ** Math.floor(Math.log10(rough));
+  const ratio = rough / power;
+  const step = (ratio >= Math.sqrt(50) ? 10 : ratio >= Math.sqrt(10) ? 5 : ratio >= Math.sqrt(2) ? 2 : 1) * power;
+  const ticks = [];
+  for (let tick = Math.ceil(min / step) * step; tick <= max + step * 1e-9; tick += step) {
+    ticks.push(Number(tick.toPrecision(12)));
+  }
+  return ticks;
+};